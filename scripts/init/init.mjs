@@ -1,12 +1,17 @@
 import pkg from 'pg';
 import crypto from 'crypto';
+import fs from 'fs';
 import * as k8s from '@kubernetes/client-node';
 import dotenv from 'dotenv';
+import YAML from 'yaml';
 
 dotenv.config();
 
 const { Client } = pkg;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERVICE_ROLES = ['admin', 'member', 'viewer'];
+
 // Logger implementation with structured output
 const logger = {
 	log: (level, message, data = {}) => {
@@ -30,6 +35,7 @@ class ApiKeySetup {
 		this.kc = new k8s.KubeConfig();
 		this.kc.loadFromDefault();
 		this.k8sApi = this.kc.makeApiClient(k8s.CoreV1Api);
+		this.appsApi = this.kc.makeApiClient(k8s.AppsV1Api);
 
 		// Get database configuration from environment variables
 		this.dbHost = process.env.DB_HOST || 'localhost';
@@ -45,13 +51,23 @@ class ApiKeySetup {
 		// API Keys configuration
 		this.defaultKeyExpiration = process.env.API_KEY_EXPIRATION || '2029-06-30T21:59:59.999Z';
 
-		// Admin API key config
-		this.adminSecretName = process.env.ADMIN_SECRET_NAME || 'outline-api-key-admin';
-		this.adminKeyName = 'admin-api-key';
+		// Rotation configuration
+		this.rotation = process.env.API_KEY_ROTATION === 'true';
+		this.maxKeyAgeDays = Number(process.env.API_KEY_MAX_AGE_DAYS || 90);
+		this.renewBeforeDays = Number(process.env.API_KEY_RENEW_BEFORE_DAYS || 30);
+		this.keyLifetimeDays = Number(process.env.API_KEY_LIFETIME_DAYS || 180);
+		this.overlapHours = Number(process.env.API_KEY_OVERLAP_HOURS || 24);
+		this.restartDeployments = (process.env.API_KEY_RESTART_DEPLOYMENTS || '').split(',').filter(Boolean);
+
+		// API keys manifest, and the ConfigMap recording the keys it produced
+		this.manifestFile = process.env.API_KEYS_FILE;
+		this.stateConfigMapName = process.env.API_KEYS_STATE_CONFIGMAP || 'outline-api-keys-state';
 
-		// Monitoring API key config
+		// Keys used without a manifest
+		this.adminSecretName = process.env.ADMIN_SECRET_NAME || 'outline-api-key-admin';
 		this.monitoringSecretName = process.env.MONITORING_SECRET_NAME || 'outline-api-key-monitoring';
-		this.monitoringKeyName = 'monitoring-api-key';
+		// Outline API key scopes, the exporter only needs the read endpoints
+		this.monitoringKeyScope = (process.env.MONITORING_KEY_SCOPES || '/api/*.list,/api/*.info').split(',').map((scope) => scope.trim());
 
 		// Auto-detect namespace or use provided value
 		this.detectNamespace();
@@ -59,9 +75,9 @@ class ApiKeySetup {
 		logger.info('Initialized with configuration', {
 			dbHost: this.dbHost,
 			dbName: this.dbName,
-			adminSecretName: this.adminSecretName,
-			monitoringSecretName: this.monitoringSecretName,
+			manifestFile: this.manifestFile,
 			adminEmail: this.adminEmail,
+			rotation: this.rotation,
 		});
 
 		if (!this.dbPassword) {
@@ -111,6 +127,219 @@ class ApiKeySetup {
 		logger.info('Using namespace from environment or default', { namespace: this.namespace });
 	}
 
+	/**
+	 * Load the API keys manifest, JSON or YAML
+	 * Without API_KEYS_FILE, the admin and monitoring keys of the super admin are managed
+	 * @returns {Object} Service users (email, name and role) and keys (name, secret, user, scope and expiresAt)
+	 */
+	loadManifest() {
+		let manifest = {
+			keys: [
+				{ name: 'admin-api-key', secret: this.adminSecretName },
+				{ name: 'monitoring-api-key', secret: this.monitoringSecretName, scope: this.monitoringKeyScope },
+			],
+		};
+		if (this.manifestFile) {
+			// JSON is valid YAML
+			manifest = YAML.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+		}
+
+		if (!Array.isArray(manifest?.keys)) {
+			throw new Error('API keys manifest must have a keys list');
+		}
+		const emails = new Set();
+		const users = (manifest.users || []).map((user) => {
+			const email = user?.email?.toLowerCase();
+			if (!email || email === this.adminEmail.toLowerCase()) {
+				throw new Error(`Service user ${JSON.stringify(user)} needs an email other than the super admin's`);
+			}
+			if (emails.has(email)) {
+				throw new Error(`Service user ${email} is listed twice`);
+			}
+			const role = user.role || 'viewer';
+			if (!SERVICE_ROLES.includes(role)) {
+				throw new Error(`Role of service user ${email} must be one of ${SERVICE_ROLES.join(', ')}: ${role}`);
+			}
+			emails.add(email);
+			return { email, name: user.name || email.split('@')[0], role };
+		});
+		const names = new Set();
+		const secrets = new Set();
+		const keys = manifest.keys.map((key) => {
+			if (!key?.name || !key?.secret) {
+				throw new Error(`API key ${JSON.stringify(key)} needs a name and a secret`);
+			}
+			if (names.has(key.name) || secrets.has(key.secret)) {
+				throw new Error(`API key ${key.name} or its secret ${key.secret} is listed twice`);
+			}
+			if (key.scope != null && (!Array.isArray(key.scope) || !key.scope.every((scope) => typeof scope === 'string'))) {
+				throw new Error(`Scope of API key ${key.name} must be a list of endpoints`);
+			}
+			if (key.expiresAt != null && isNaN(new Date(key.expiresAt))) {
+				throw new Error(`Expiry of API key ${key.name} is not a date: ${key.expiresAt}`);
+			}
+			names.add(key.name);
+			secrets.add(key.secret);
+			return {
+				name: key.name,
+				secret: key.secret,
+				user: key.user?.toLowerCase() || null,
+				scope: key.scope || null,
+				expiresAt: key.expiresAt ? new Date(key.expiresAt) : null,
+			};
+		});
+
+		logger.info('Loaded API keys manifest', {
+			file: this.manifestFile || null,
+			users: users.map((user) => user.email),
+			keys: keys.map((key) => key.name),
+		});
+		return { users, keys };
+	}
+
+	/**
+	 * Read the service users and keys converged by the previous run
+	 * @returns {Object} Users (email and userId) and keys (name, secret and userId)
+	 */
+	async getManagedState() {
+		try {
+			const configMap = await this.k8sApi.readNamespacedConfigMap({ name: this.stateConfigMapName, namespace: this.namespace });
+			return {
+				users: JSON.parse(configMap?.data?.['users.json'] || '[]'),
+				keys: JSON.parse(configMap?.data?.['keys.json'] || '[]'),
+			};
+		} catch (error) {
+			if (error.code !== 404 && error.response?.statusCode !== 404) throw error;
+			logger.info('No managed API keys state found', { configMap: this.stateConfigMapName });
+			return { users: [], keys: [] };
+		}
+	}
+
+	/**
+	 * Record the converged service users and keys, to retire them once removed from the manifest
+	 * @param {Array} users - Users: email and userId
+	 * @param {Array} keys - Keys: name, secret and userId
+	 * @returns {Boolean} Success status
+	 */
+	async storeManagedState(users, keys) {
+		const body = {
+			apiVersion: 'v1',
+			kind: 'ConfigMap',
+			metadata: { name: this.stateConfigMapName, namespace: this.namespace },
+			data: { 'users.json': JSON.stringify(users), 'keys.json': JSON.stringify(keys) },
+		};
+		try {
+			try {
+				await this.k8sApi.replaceNamespacedConfigMap({ name: this.stateConfigMapName, namespace: this.namespace, body });
+			} catch (error) {
+				if (error.code !== 404 && error.response?.statusCode !== 404) throw error;
+				await this.k8sApi.createNamespacedConfigMap({ namespace: this.namespace, body });
+			}
+			logger.info('Managed API keys state stored', { configMap: this.stateConfigMapName, users: users.length, keys: keys.length });
+			return true;
+		} catch (error) {
+			logger.error('Error storing managed API keys state', { error: error.message, configMap: this.stateConfigMapName });
+			return false;
+		}
+	}
+
+	/**
+	 * Revoke the keys of the previous run that are no longer in the manifest
+	 * A key moved to another user is replaced by setupApiKey instead, with an overlap window
+	 * @param {Client} client - Database client
+	 * @param {Array} previous - Keys of the previous run: name, secret and userId
+	 * @param {Array} current - Keys of this run: name, secret and userId
+	 */
+	async revokeRemovedApiKeys(client, previous, current) {
+		const kept = new Set(current.map((key) => `${key.userId}/${key.name}`));
+		for (const key of previous.filter((key) => !kept.has(`${key.userId}/${key.name}`))) {
+			if (current.some((other) => other.name === key.name)) continue;
+			const result = await client.query(`DELETE FROM "apiKeys" WHERE "userId" = $1 AND name = $2 RETURNING id`, [key.userId, key.name]);
+			logger.info('Revoked API key removed from the manifest', {
+				keyName: key.name,
+				userId: key.userId,
+				keyIds: result.rows.map((row) => row.id),
+			});
+			if (!current.some((other) => other.secret === key.secret)) {
+				logger.warn('Secret of the removed API key is no longer managed and can be deleted', { secretName: key.secret });
+			}
+		}
+	}
+
+	/**
+	 * Create or update a service user of the manifest
+	 * Service users have no authentication, nobody can sign in as them
+	 * @param {Client} client - Database client
+	 * @param {Object} user - Service user: email, name and role
+	 * @returns {String} User ID
+	 */
+	async ensureServiceUser(client, user) {
+		const result = await client.query(`SELECT id, name, role, "suspendedAt" FROM users WHERE email = $1 AND "deletedAt" IS NULL`, [user.email]);
+		const existing = result.rows[0];
+
+		if (!existing) {
+			const userId = crypto.randomUUID();
+			const teamId = await this.getTeamId(client);
+			await client.query(
+				`INSERT INTO users ("id", "email", "name", "role", "teamId", "flags", "createdAt", "updatedAt")
+				VALUES ($1, $2, $3, $4, $5, '{}', $6, $6)`,
+				[userId, user.email, user.name, user.role, teamId, new Date()]
+			);
+			logger.info('Created service user', { userId, email: user.email, role: user.role });
+			return userId;
+		}
+
+		if (existing.name !== user.name || existing.role !== user.role || existing.suspendedAt) {
+			// Only this user changes, the keys of the other service users are untouched
+			await client.query(`UPDATE users SET name = $2, role = $3, "suspendedAt" = NULL, "updatedAt" = $4 WHERE id = $1`, [
+				existing.id,
+				user.name,
+				user.role,
+				new Date(),
+			]);
+			logger.info('Updated service user', {
+				userId: existing.id,
+				email: user.email,
+				currentRole: existing.role,
+				role: user.role,
+				reactivated: Boolean(existing.suspendedAt),
+			});
+		}
+		return existing.id;
+	}
+
+	/**
+	 * Suspend the service users of the previous run that are no longer in the manifest, and revoke their keys
+	 * @param {Client} client - Database client
+	 * @param {Array} previous - Users of the previous run: email and userId
+	 * @param {Array} current - Users of this run: email and userId
+	 */
+	async retireRemovedServiceUsers(client, previous, current) {
+		const kept = new Set(current.map((user) => user.userId));
+		for (const user of previous.filter((user) => !kept.has(user.userId))) {
+			await client.query(`UPDATE users SET "suspendedAt" = $2, "updatedAt" = $2 WHERE id = $1 AND "suspendedAt" IS NULL`, [user.userId, new Date()]);
+			await this.revokeApiKeys(client, [user.userId]);
+			logger.info('Suspended service user removed from the manifest', user);
+		}
+	}
+
+	/**
+	 * Find the user owning a key of the manifest
+	 * @param {Client} client - Database client
+	 * @param {String|null} email - Email of the owner, a service user or the super admin if not set
+	 * @param {String} adminId - Super admin user ID
+	 * @returns {String} User ID
+	 */
+	async getKeyOwner(client, email, adminId) {
+		if (!email || email === this.adminEmail.toLowerCase()) return adminId;
+
+		const result = await client.query(`SELECT id FROM users WHERE email = $1 AND "deletedAt" IS NULL`, [email]);
+		if (result.rows.length === 0) {
+			throw new Error(`Owner ${email} of the API key not found`);
+		}
+		return result.rows[0].id;
+	}
+
 	/**
 	 * Connect to the database and create client
 	 * @returns {Client} PostgreSQL client
@@ -220,7 +449,7 @@ class ApiKeySetup {
 
 			// Look up the API key in the database
 			const query = `
-				SELECT ak.id as "apiKeyId", ak."userId", ak.name, u.email, u.role, u.flags
+				SELECT ak.id as "apiKeyId", ak."userId", ak.name, ak.scope, ak."createdAt", ak."expiresAt", u.email, u.role, u.flags
 				FROM "apiKeys" ak
 				JOIN users u ON ak."userId" = u.id
 				WHERE ak.hash = $1 AND ak.last4 = $2
@@ -238,6 +467,7 @@ class ApiKeySetup {
 					userId: user.userId,
 					email: user.email,
 					role: user.role,
+					scope: user.scope,
 					isSuper,
 				});
 
@@ -247,10 +477,15 @@ class ApiKeySetup {
 					apiKeyName: user.name,
 					email: user.email,
 					isSuper,
+					scope: user.scope,
+					createdAt: user.createdAt,
+					expiresAt: user.expiresAt,
 				};
 			}
 		} catch (error) {
+			// Not a missing key, the failed statement aborted the transaction
 			logger.warn('Error validating existing API key', { error: error.message });
+			throw error;
 		}
 
 		logger.info('Existing API key is invalid or not found in database');
@@ -476,15 +711,29 @@ class ApiKeySetup {
 		return adminId;
 	}
 
+	/**
+	 * Check whether a key has the expected scopes
+	 * @param {Array|null} actual - Scopes of the key, null if unscoped
+	 * @param {Array|null} expected - Expected scopes, null for full access
+	 * @returns {Boolean}
+	 */
+	hasScope(actual, expected) {
+		if (!expected) return !actual;
+		// An unscoped key has full access, never valid where a scope is expected
+		if (!actual) return false;
+		return actual.length === expected.length && expected.every((scope) => actual.includes(scope));
+	}
+
 	/**
 	 * Check and manage existing API key
 	 * @param {Client} client - Database client
 	 * @param {String} userId - User ID
 	 * @param {String} keyName - Name of the API key
 	 * @param {String} secretName - Name of the Kubernetes secret
-	 * @returns {Object} API key status info
+	 * @param {Array|null} scope - Expected scopes, null for full access
+	 * @returns {Object} API key status info, with the keys to revoke or retire once the secret holds a new one
 	 */
-	async manageExistingApiKey(client, userId, keyName, secretName) {
+	async manageExistingApiKey(client, userId, keyName, secretName, scope = null) {
 		// Get existing API key from K8s secret
 		const existingSecretApiKey = await this.getExistingSecretApiKey(secretName);
 
@@ -492,43 +741,91 @@ class ApiKeySetup {
 		if (existingSecretApiKey) {
 			const validatedKey = await this.validateExistingApiKey(client, existingSecretApiKey);
 
-			if (validatedKey) {
-				// If the key belongs to our user and has the correct name
-				if (validatedKey.userId === userId && validatedKey.apiKeyName === keyName) {
+			if (!validatedKey) {
+				// Left by a transaction that did not commit, or a key revoked by hand
+				logger.warn('Secret holds an API key missing from the database, replacing it', { secretName, keyName });
+			} else {
+				// If the key belongs to our user and has the correct name and scopes
+				if (validatedKey.userId === userId && validatedKey.apiKeyName === keyName && this.hasScope(validatedKey.scope, scope)) {
 					logger.info('Existing API key is valid and belongs to correct user', { keyName });
+
+					// Keys of this name missing from the secret, such as a new key whose secret write failed,
+					// get the overlap window of a retired key. Keys already retired by a rotation are left to expire.
+					const leftovers = await client.query(
+						`SELECT id FROM "apiKeys" WHERE "userId" = $1 AND name = $2 AND id <> $3 AND ("expiresAt" IS NULL OR "expiresAt" > $4)`,
+						[userId, keyName, validatedKey.apiKeyId, new Date(Date.now() + this.overlapHours * 60 * 60 * 1000)]
+					);
+					if (leftovers.rows.length > 0) {
+						logger.warn('API keys missing from the secret found in the database, retiring them', {
+							keyName,
+							secretName,
+							keyIds: leftovers.rows.map((row) => row.id),
+						});
+					}
+
 					return {
 						valid: true,
+						leftoverKeyIds: leftovers.rows.map((row) => row.id),
 						existingKey: existingSecretApiKey,
 						apiKeyId: validatedKey.apiKeyId,
+						createdAt: validatedKey.createdAt,
+						expiresAt: validatedKey.expiresAt,
 					};
 				} else {
-					// Key belongs to another user or has wrong name
+					// Key belongs to another user or has wrong name or scopes
 					logger.warn('API key in secret is invalid for this purpose', {
 						keyUserId: validatedKey.userId,
 						expectedUserId: userId,
 						keyName: validatedKey.apiKeyName,
 						expectedKeyName: keyName,
+						scope: validatedKey.scope,
+						expectedScope: scope,
 					});
+					if (validatedKey.apiKeyName === keyName) {
+						// The key moved to another owner or scope. Consumers still use the one in the secret,
+						// it is replaced like a rotation and kept valid for the overlap window
+						const staleKeyIds = await this.getApiKeyIds(client, userId, keyName);
+						if (validatedKey.userId !== userId) {
+							// Other keys of the previous owner are not in the secret, nothing uses them
+							staleKeyIds.push(...(await this.getApiKeyIds(client, validatedKey.userId, keyName)));
+						}
+						return {
+							valid: false,
+							replacedKeyId: validatedKey.apiKeyId,
+							staleKeyIds: staleKeyIds.filter((id) => id !== validatedKey.apiKeyId),
+						};
+					}
 				}
 			}
 		}
 
+		return { valid: false, staleKeyIds: await this.getApiKeyIds(client, userId, keyName) };
+	}
+
+	/**
+	 * Get the keys of a user with a given name
+	 * @param {Client} client - Database client
+	 * @param {String} userId - User ID
+	 * @param {String} keyName - Name of the API key
+	 * @returns {Array} API key IDs
+	 */
+	async getApiKeyIds(client, userId, keyName) {
 		// Check if user has any existing API keys with the expected name
 		const existingApiKeyQuery = `
             SELECT id FROM "apiKeys" 
-            WHERE "userId" = $1 AND name = $2 
-            LIMIT 1
+            WHERE "userId" = $1 AND name = $2
         `;
 
 		const existingKeyResult = await client.query(existingApiKeyQuery, [userId, keyName]);
 
 		if (existingKeyResult.rows.length > 0) {
-			// User has an existing key but it doesn't match the secret, revoke it
-			logger.info(`User has existing API key with name '${keyName}' but it doesn't match the K8s secret, revoking it`);
-			await client.query(`DELETE FROM "apiKeys" WHERE id = $1`, [existingKeyResult.rows[0].id]);
+			// User has existing keys but they don't match the secret, they are revoked once it holds the new key
+			logger.info(`User has existing API keys with name '${keyName}' but they don't match the K8s secret, replacing them`, {
+				count: existingKeyResult.rows.length,
+			});
 		}
 
-		return { valid: false };
+		return existingKeyResult.rows.map((row) => row.id);
 	}
 
 	/**
@@ -536,15 +833,21 @@ class ApiKeySetup {
 	 * @param {Client} client - Database client
 	 * @param {String} userId - User ID
 	 * @param {String} keyName - Name of the API key
-	 * @returns {String} Generated API key
+	 * @param {Array|null} scope - Endpoints the key can call, null for full access
+	 * @param {Date|null} maxExpiresAt - Expiry set in the manifest
+	 * @returns {Object} Generated API key and its ID
 	 */
-	async createApiKey(client, userId, keyName) {
+	async createApiKey(client, userId, keyName, scope = null, maxExpiresAt = null) {
 		// Generate a secure random token with the correct prefix
 		const prefix = 'ol_api_';
 		const secret = `${prefix}${this.generateRandomString(38)}`;
 		const apiKeyId = crypto.randomUUID();
 		const createdAt = new Date().toISOString();
-		const expiresAt = new Date(this.defaultKeyExpiration);
+		// Rotated keys get a rolling lifetime, so that they become due again well before they expire
+		let expiresAt = this.rotation ? new Date(Date.now() + this.keyLifetimeDays * DAY_MS) : new Date(this.defaultKeyExpiration);
+		if (maxExpiresAt && (!this.rotation || maxExpiresAt < expiresAt)) {
+			expiresAt = maxExpiresAt;
+		}
 
 		// Hash the API key using SHA-256
 		const hash = crypto.createHash('sha256').update(secret).digest('hex');
@@ -552,14 +855,102 @@ class ApiKeySetup {
 
 		// Insert the new API key - using parameterized query for security
 		const insertApiKeyQuery = `
-			INSERT INTO "apiKeys" ("id", "name", "hash", "last4", "userId", "createdAt", "updatedAt", "expiresAt") 
-			VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+			INSERT INTO "apiKeys" ("id", "name", "hash", "last4", "userId", "createdAt", "updatedAt", "expiresAt", "scope") 
+			VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8)
 		`;
 
-		await client.query(insertApiKeyQuery, [apiKeyId, keyName, hash, last4, userId, createdAt, expiresAt]);
+		await client.query(insertApiKeyQuery, [apiKeyId, keyName, hash, last4, userId, createdAt, expiresAt, scope]);
+
+		logger.info('Created new API token', { apiKeyId, keyName, expiresAt, scope });
+		return { apiKey: secret, apiKeyId };
+	}
+
+	/**
+	 * Check whether a valid key must be rotated
+	 * @param {Object} keyStatus - Result of manageExistingApiKey
+	 * @returns {String|null} Reason for the rotation, null if not due
+	 */
+	getRotationReason(keyStatus) {
+		const now = Date.now();
+		const ageDays = (now - new Date(keyStatus.createdAt).getTime()) / DAY_MS;
+		if (ageDays >= this.maxKeyAgeDays) {
+			return `key is ${Math.floor(ageDays)} days old, max ${this.maxKeyAgeDays}`;
+		}
+		if (keyStatus.expiresAt) {
+			const remainingDays = (new Date(keyStatus.expiresAt).getTime() - now) / DAY_MS;
+			if (remainingDays <= this.renewBeforeDays) {
+				return `key expires in ${Math.floor(remainingDays)} days, renewed ${this.renewBeforeDays} days before`;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Shorten the life of a replaced key to the overlap window
+	 * Consumers still using it keep working until they pick up the new key
+	 * @param {Client} client - Database client
+	 * @param {String} apiKeyId - ID of the replaced key
+	 * @param {String} keyName - Name of the API key
+	 */
+	async retireApiKey(client, apiKeyId, keyName) {
+		const expiresAt = new Date(Date.now() + this.overlapHours * 60 * 60 * 1000);
+		await client.query(`UPDATE "apiKeys" SET "expiresAt" = $2, "updatedAt" = $3 WHERE id = $1`, [apiKeyId, expiresAt, new Date()]);
+		logger.info('Old API key kept valid for the overlap window', { apiKeyId, keyName, expiresAt });
+	}
+
+	/**
+	 * Bring the expiry of a kept key forward to the one set in the manifest
+	 * Never extends it, so that rotated keys keep their rolling lifetime
+	 * @param {Client} client - Database client
+	 * @param {Object} keyStatus - Result of manageExistingApiKey
+	 * @param {String} keyName - Name of the API key
+	 * @param {Date|null} maxExpiresAt - Expiry set in the manifest
+	 */
+	async limitApiKeyExpiry(client, keyStatus, keyName, maxExpiresAt) {
+		if (!maxExpiresAt || (keyStatus.expiresAt && new Date(keyStatus.expiresAt) <= maxExpiresAt)) return;
+
+		await client.query(`UPDATE "apiKeys" SET "expiresAt" = $2, "updatedAt" = $3 WHERE id = $1`, [keyStatus.apiKeyId, maxExpiresAt, new Date()]);
+		logger.info('API key expiry brought forward to the manifest', { keyName, from: keyStatus.expiresAt, expiresAt: maxExpiresAt });
+	}
 
-		logger.info('Created new API token', { apiKeyId, keyName });
-		return secret;
+	/**
+	 * Delete keys of the managed users past their expiry, such as keys retired by a rotation
+	 * or by a move to another owner
+	 * @param {Client} client - Database client
+	 * @param {Array} userIds - IDs of the super admin and the service users
+	 * @param {String} keyName - Name of the API key
+	 */
+	async deleteExpiredApiKeys(client, userIds, keyName) {
+		const result = await client.query(`DELETE FROM "apiKeys" WHERE "userId" = ANY($1::uuid[]) AND name = $2 AND "expiresAt" < $3 RETURNING id`, [
+			userIds,
+			keyName,
+			new Date(),
+		]);
+		if (result.rows.length > 0) {
+			logger.info('Expired API keys deleted', { keyName, keyIds: result.rows.map((row) => row.id) });
+		}
+	}
+
+	/**
+	 * Restart deployments so that they read the rotated keys from their secrets
+	 */
+	async restartConsumers() {
+		for (const name of this.restartDeployments) {
+			try {
+				await this.appsApi.patchNamespacedDeployment(
+					{
+						name,
+						namespace: this.namespace,
+						body: { spec: { template: { metadata: { annotations: { 'kubectl.kubernetes.io/restartedAt': new Date().toISOString() } } } } },
+					},
+					k8s.setHeaderOptions('Content-Type', k8s.PatchStrategy.MergePatch)
+				);
+				logger.info('Deployment restarted to pick up rotated API key', { name });
+			} catch (error) {
+				// The old key stays valid for the overlap window, the deployment can still be restarted by hand
+				logger.error('Failed to restart deployment', { name, error: error.message, overlapHours: this.overlapHours });
+			}
+		}
 	}
 
 	/**
@@ -633,54 +1024,107 @@ class ApiKeySetup {
 	}
 
 	/**
-	 * Setup API key for a specific purpose
+	 * Setup API key for a specific purpose, in the database only
+	 * A new key is written to its secret by publishApiKey, once committed
 	 * @param {Client} client - Database client
 	 * @param {String} userId - User ID
-	 * @param {String} keyName - Name of the API key
-	 * @param {String} secretName - Name of the Kubernetes secret
-	 * @returns {Object} Result of the operation
+	 * @param {Object} key - Key of the manifest
+	 * @param {Array} ownerIds - IDs of the super admin and the service users
+	 * @returns {Object} Result of the operation, with the pending secret write of a new key
+	 * @throws {Error} On a database error, the transaction must then be rolled back to before the key
 	 */
-	async setupApiKey(client, userId, keyName, secretName) {
-		try {
-			const keyStatus = await this.manageExistingApiKey(client, userId, keyName, secretName);
+	async setupApiKey(client, userId, key, ownerIds) {
+		const { name: keyName, secret: secretName, scope, expiresAt } = key;
+		await this.deleteExpiredApiKeys(client, ownerIds, keyName);
 
-			let apiKey;
+		const keyStatus = await this.manageExistingApiKey(client, userId, keyName, secretName, scope);
 
-			if (keyStatus.valid && keyStatus.existingKey) {
-				// Use existing key
-				apiKey = keyStatus.existingKey;
-				logger.info(`Using existing valid ${keyName}`);
-			} else {
-				// Create new API key
-				apiKey = await this.createApiKey(client, userId, keyName);
-				logger.info(`New ${keyName} created`);
-			}
+		const rotationReason = this.rotation && keyStatus.valid ? this.getRotationReason(keyStatus) : null;
 
-			// Store API key in Kubernetes secret
-			const secretStored = await this.storeInKubernetesSecret(apiKey, secretName);
+		if (rotationReason) {
+			// Mint the new key, the old one is retired once the secret holds the new one
+			logger.info(`Rotating ${keyName}`, { reason: rotationReason });
+			const created = await this.createApiKey(client, userId, keyName, scope, expiresAt);
+			return {
+				success: true,
+				key,
+				write: { ...created, rotated: true, retireKeyIds: [keyStatus.apiKeyId, ...keyStatus.leftoverKeyIds], staleKeyIds: [] },
+			};
+		}
 
-			if (!secretStored) {
-				return {
-					success: false,
-					message: `Failed to store ${keyName} in Kubernetes secret`,
-				};
+		if (keyStatus.valid) {
+			// Use existing key, the secret already holds it
+			for (const apiKeyId of keyStatus.leftoverKeyIds) {
+				await this.retireApiKey(client, apiKeyId, keyName);
 			}
+			await this.limitApiKeyExpiry(client, keyStatus, keyName, expiresAt);
+			logger.info(`Using existing valid ${keyName}`);
+			return { success: true, key, message: `${keyName} setup completed successfully` };
+		}
+
+		// Create new API key, replacing the one in the secret if it moved to another owner or scope
+		const created = await this.createApiKey(client, userId, keyName, scope, expiresAt);
+		logger.info(`New ${keyName} created`, { replacedKeyId: keyStatus.replacedKeyId });
+		const replaced = keyStatus.replacedKeyId ? [keyStatus.replacedKeyId] : [];
+		return {
+			success: true,
+			key,
+			write: { ...created, rotated: replaced.length > 0, retireKeyIds: replaced, staleKeyIds: keyStatus.staleKeyIds },
+		};
+	}
 
+	/**
+	 * Write a committed key to its secret, then retire the keys it replaces
+	 * If the secret cannot be written, the key is revoked and the replaced keys are kept,
+	 * so that the database matches the secret again
+	 * @param {Client} client - Database client, outside of a transaction
+	 * @param {Object} key - Key of the manifest
+	 * @param {Object} write - Pending secret write from setupApiKey
+	 * @returns {Object} Result of the operation
+	 */
+	async publishApiKey(client, key, write) {
+		const secretStored = await this.storeInKubernetesSecret(write.apiKey, key.secret);
+
+		if (!secretStored) {
+			try {
+				await client.query(`DELETE FROM "apiKeys" WHERE id = $1`, [write.apiKeyId]);
+				logger.warn('Revoked API key that could not be stored in its secret', { keyName: key.name, apiKeyId: write.apiKeyId });
+			} catch (error) {
+				// Retired by the next run, as a key missing from the secret
+				logger.error('Failed to revoke API key that could not be stored in its secret', {
+					keyName: key.name,
+					apiKeyId: write.apiKeyId,
+					error: error.message,
+				});
+			}
 			return {
-				success: true,
-				message: `${keyName} setup completed successfully`,
+				success: false,
+				message: `Failed to store ${key.name} in Kubernetes secret`,
 			};
+		}
+
+		try {
+			for (const apiKeyId of write.retireKeyIds) {
+				await this.retireApiKey(client, apiKeyId, key.name);
+			}
+			if (write.staleKeyIds.length > 0) {
+				await client.query(`DELETE FROM "apiKeys" WHERE id = ANY($1::uuid[])`, [write.staleKeyIds]);
+				logger.info('Revoked API keys replaced in the secret', { keyName: key.name, keyIds: write.staleKeyIds });
+			}
 		} catch (error) {
-			logger.error(`${keyName} setup failed`, {
+			// The secret holds the new key, the replaced keys of its user are retired by the next run
+			logger.error('Failed to retire API keys replaced in the secret', {
+				keyName: key.name,
+				keyIds: [...write.retireKeyIds, ...write.staleKeyIds],
 				error: error.message,
-				stack: error.stack,
 			});
-
-			return {
-				success: false,
-				error: error.message,
-			};
 		}
+
+		return {
+			success: true,
+			rotated: write.rotated,
+			message: `${key.name} ${write.rotated ? 'rotated' : 'setup completed'} successfully`,
+		};
 	}
 
 	/**
@@ -690,6 +1134,10 @@ class ApiKeySetup {
 	async setup() {
 		let client;
 		try {
+			const { users, keys } = this.loadManifest();
+			const previous = await this.getManagedState();
+			const previousKeys = previous.keys;
+
 			client = await this.connectToDatabase();
 
 			await client.query('BEGIN');
@@ -697,32 +1145,74 @@ class ApiKeySetup {
 			// Find or create admin user
 			const adminId = await this.createOrFindAdmin(client);
 
-			// Setup admin API key
-			const adminKeyResult = await this.setupApiKey(client, adminId, this.adminKeyName, this.adminSecretName);
+			// Converge the service users owning the keys
+			const managedUsers = [];
+			for (const user of users) {
+				managedUsers.push({ email: user.email, userId: await this.ensureServiceUser(client, user) });
+			}
+			await this.retireRemovedServiceUsers(client, previous.users, managedUsers);
+
+			// Converge every key of the manifest
+			const ownerIds = [adminId, ...managedUsers.map((user) => user.userId)];
+			const results = [];
+			const managedKeys = [];
+			for (const key of keys) {
+				// A failed statement aborts the whole transaction, unless rolled back to a savepoint
+				await client.query('SAVEPOINT api_key');
+				try {
+					const userId = await this.getKeyOwner(client, key.user, adminId);
+					const result = await this.setupApiKey(client, userId, key, ownerIds);
+					await client.query('RELEASE SAVEPOINT api_key');
+					results.push(result);
+					managedKeys.push({ name: key.name, secret: key.secret, userId });
+				} catch (error) {
+					await client.query('ROLLBACK TO SAVEPOINT api_key');
+					logger.error(`${key.name} setup failed`, { error: error.message, stack: error.stack });
+					results.push({ success: false, error: error.message });
+					// Keep its previous owner managed, so that its keys are not revoked
+					managedKeys.push(...previousKeys.filter((previous) => previous.name === key.name));
+				}
+			}
+
+			await this.revokeRemovedApiKeys(client, previousKeys, managedKeys);
 
-			// Setup monitoring API key (read-only)
-			const monitoringKeyResult = await this.setupApiKey(client, adminId, this.monitoringKeyName, this.monitoringSecretName);
+			// Commit the transaction, Postgres answers ROLLBACK to the COMMIT of an aborted one
+			const commit = await client.query('COMMIT');
+			if (commit.command !== 'COMMIT') {
+				throw new Error(`Transaction not committed, the database answered ${commit.command}`);
+			}
+
+			// Write the new keys to their secrets only once they exist in the database
+			for (const [index, result] of results.entries()) {
+				if (result.write) {
+					results[index] = await this.publishApiKey(client, result.key, result.write);
+				}
+			}
+
+			if (results.some((result) => result.rotated)) {
+				await this.restartConsumers();
+			}
 
-			// Commit the transaction
-			await client.query('COMMIT');
+			const stateStored = await this.storeManagedState(managedUsers, managedKeys);
 
-			if (!adminKeyResult.success) {
+			const failed = results.find((result) => !result.success);
+			if (failed) {
 				return {
 					success: false,
-					message: adminKeyResult.message || adminKeyResult.error,
+					message: failed.message || failed.error,
 				};
 			}
 
-			if (!monitoringKeyResult.success) {
+			if (!stateStored) {
 				return {
 					success: false,
-					message: monitoringKeyResult.message || monitoringKeyResult.error,
+					message: 'Failed to store the managed API keys state',
 				};
 			}
 
 			return {
 				success: true,
-				message: 'Admin user, admin API key, and monitoring API key setup completed successfully',
+				message: `Admin user, ${users.length} service users and ${keys.length} API keys setup completed successfully`,
 			};
 		} catch (error) {
 			// Rollback transaction in case of error
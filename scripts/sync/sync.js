@@ -1,8 +1,81 @@
 const axios = require('axios');
 const https = require('https');
 const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Client } = require('pg');
 require('dotenv').config();
 
+/**
+ * Arguments of each mutating method, in call order, as stored in plan entries
+ */
+const PLAN_ARGS = {
+	createGroup: ['name', 'unitId'],
+	renameGroup: ['id', 'name', 'from'],
+	deleteGroup: ['id', 'name'],
+	addUserToGroup: ['userId', 'groupId'],
+	removeUserFromGroup: ['userId', 'groupId'],
+	createCollection: ['name', 'unitId', 'attributes'],
+	renameCollection: ['id', 'name', 'from'],
+	updateCollection: ['id', 'name', 'changes'],
+	deleteCollection: ['id', 'name'],
+	archiveCollection: ['id', 'name'],
+	restoreCollection: ['id', 'name'],
+	addGroupToCollection: ['groupId', 'collectionId', 'permission'],
+	removeGroupFromCollection: ['groupId', 'collectionId'],
+	addUserToCollection: ['userId', 'collectionId', 'permission', 'from'],
+	removeUserFromCollection: ['userId', 'collectionId'],
+	setUserRole: ['userId', 'email', 'role'],
+	suspendUser: ['userId', 'email'],
+	activateUser: ['userId', 'email'],
+	epflAddToGroup: ['scipers', 'group'],
+	epflRemoveFromGroup: ['sciper', 'group'],
+};
+
+/**
+ * Outline endpoints that must not be replayed after a failure the server may have processed
+ */
+const NON_REPEATABLE_ENDPOINTS = ['/api/groups.create', '/api/collections.create', '/api/documents.create'];
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const COLLECTION_ADDED = ['createCollection', 'restoreCollection'];
+const COLLECTION_REMOVED = ['deleteCollection', 'archiveCollection'];
+const RENAME_ACTIONS = ['renameGroup', 'renameCollection'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLLECTION_PERMISSIONS = ['read', 'read_write'];
+const GROUP_PERMISSIONS = ['read', 'read_write', 'admin'];
+const COLLECTION_ATTRIBUTES = ['permission', 'description', 'icon', 'color', 'sort'];
+const ROLES = ['guest', 'viewer', 'member', 'admin'];
+
+/**
+ * Journal reason of actions planned without an explicit one
+ */
+const DEFAULT_REASONS = {
+	createGroup: 'unit has members',
+	renameGroup: 'unit renamed in EPFL',
+	deleteGroup: 'unit group obsolete and empty',
+	createCollection: 'unit group has no collection',
+	renameCollection: 'unit renamed in EPFL',
+	updateCollection: 'collection differs from policy',
+	deleteCollection: 'collection obsolete',
+	archiveCollection: 'collection obsolete',
+	restoreCollection: 'unit group is back',
+	addGroupToCollection: 'collection policy',
+	removeGroupFromCollection: 'rollback',
+	addUserToCollection: 'EPFL right on unit',
+	removeUserFromCollection: 'EPFL right on unit revoked',
+	setUserRole: 'role mapping',
+	epflAddToGroup: 'sidoc.readwrite authorization granted',
+	epflRemoveFromGroup: 'sidoc.readwrite authorization revoked',
+};
+const DEFAULT_COLLECTION_POLICY = { permission: 'read', private: false, groupPermission: 'read' };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 const logger = {
 	_log: (level, message, data = {}) => {
 		console.log(JSON.stringify({ timestamp: new Date().toISOString(), level, message, ...data }));
@@ -23,6 +96,9 @@ class OutlineSync {
 		this._initClients();
 		this._initCache();
 		this._initConfig();
+		this._initPlan();
+		this._initSafety();
+		this._initState();
 	}
 
 	_validateEnv() {
@@ -32,6 +108,12 @@ class OutlineSync {
 	}
 
 	_initClients() {
+		this.retry = {
+			max: Number(process.env.SYNC_RETRY_MAX || 4),
+			baseDelay: Number(process.env.SYNC_RETRY_BASE_DELAY_MS || 500),
+			maxDelay: Number(process.env.SYNC_RETRY_MAX_DELAY_MS || 30000),
+		};
+
 		const agent = new https.Agent({ rejectUnauthorized: false });
 
 		this.outline = axios.create({
@@ -47,7 +129,26 @@ class OutlineSync {
 			timeout: 10000,
 		});
 
-		[['Outline', this.outline], ['EPFL', this.epfl]].forEach(([name, client]) => {
+		// Entra ID of the Outline sign-in, to read the SCIPER of users
+		this.databaseUrl = process.env.OUTLINE_DATABASE_URL;
+		this.graph = null;
+		if (process.env.AZURE_TENANT_ID && process.env.AZURE_CLIENT_ID && process.env.AZURE_CLIENT_SECRET) {
+			this.graph = axios.create({ baseURL: 'https://graph.microsoft.com/v1.0', timeout: 10000 });
+			this.graph.interceptors.request.use(async (config) => {
+				config.headers.Authorization = `Bearer ${await this._graphToken()}`;
+				return config;
+			});
+		}
+
+		this.epflConcurrency = Math.max(1, Number(process.env.EPFL_API_CONCURRENCY || 5));
+		this.epflRateLimit = Number(process.env.EPFL_API_RATE_LIMIT || 10);
+		this.epflNextSlot = 0;
+		this.epfl.interceptors.request.use(async (config) => {
+			await this._throttleEpfl();
+			return config;
+		});
+
+		[['Outline', this.outline], ['EPFL', this.epfl], ['Graph', this.graph]].filter(([, client]) => client).forEach(([name, client]) => {
 			client.interceptors.request.use(
 				(config) => {
 					logger.debug(`${name} API Request`, { method: config.method, url: config.url });
@@ -60,7 +161,9 @@ class OutlineSync {
 			);
 			client.interceptors.response.use(
 				(response) => response,
-				(error) => {
+				async (error) => {
+					if (this._isRetryable(error)) return this._retryRequest(name, client, error);
+
 					if (error.response) {
 						logger.error(`${name} API Response Error`, { status: error.response.status, data: error.response.data });
 					} else if (error.request) {
@@ -74,15 +177,337 @@ class OutlineSync {
 		});
 	}
 
+	/**
+	 * Check whether a failed request can safely be sent again
+	 * @param {Error} error - Axios error
+	 * @returns {boolean}
+	 */
+	_isRetryable(error) {
+		const config = error.config;
+		if (!config || (config.retryAttempt || 0) >= this.retry.max) return false;
+
+		const status = error.response?.status;
+		// Rate limited requests were not processed, so even non-repeatable calls can be sent again
+		if (status === 429) return true;
+
+		const method = (config.method || 'get').toLowerCase();
+		const repeatable = method !== 'post' || !NON_REPEATABLE_ENDPOINTS.includes(config.url);
+		if (!repeatable) return false;
+
+		if (status) return RETRYABLE_STATUSES.includes(status);
+		return RETRYABLE_ERROR_CODES.includes(error.code);
+	}
+
+	/**
+	 * Compute the delay before the next attempt
+	 * Honours Retry-After on 429/503 up to the max delay, otherwise uses exponential backoff with full jitter
+	 * @param {Error} error - Axios error
+	 * @param {number} attempt - Attempt about to be made (1-based)
+	 * @returns {number} - Delay in milliseconds
+	 */
+	_retryDelay(error, attempt) {
+		const retryAfter = error.response?.headers?.['retry-after'];
+		if (retryAfter && [429, 503].includes(error.response.status)) {
+			const seconds = Number(retryAfter);
+			const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+			if (!Number.isNaN(ms)) return Math.min(this.retry.maxDelay, Math.max(0, ms));
+		}
+		const cap = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempt - 1));
+		return Math.round(Math.random() * cap);
+	}
+
+	/**
+	 * Send a failed request again after a backoff delay
+	 * @param {string} name - Client name for logging
+	 * @param {object} client - Axios instance
+	 * @param {Error} error - Axios error
+	 * @returns {Promise} - Response of the retried request
+	 */
+	async _retryRequest(name, client, error) {
+		const config = error.config;
+		config.retryAttempt = (config.retryAttempt || 0) + 1;
+		const delay = this._retryDelay(error, config.retryAttempt);
+
+		logger.warn(`${name} API request failed, retrying`, {
+			method: config.method,
+			url: config.url,
+			status: error.response?.status,
+			code: error.code,
+			attempt: config.retryAttempt,
+			maxAttempts: this.retry.max,
+			delayMs: delay,
+		});
+
+		await sleep(delay);
+		return client.request(config);
+	}
+
+	/**
+	 * Get a Microsoft Graph token for the Outline app registration (cached until it expires)
+	 * @returns {string}
+	 */
+	async _graphToken() {
+		if (this.graphToken && this.graphToken.expiresAt > Date.now()) return this.graphToken.value;
+		const res = await axios.post(
+			`https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}/oauth2/v2.0/token`,
+			new URLSearchParams({
+				grant_type: 'client_credentials',
+				client_id: process.env.AZURE_CLIENT_ID,
+				client_secret: process.env.AZURE_CLIENT_SECRET,
+				scope: 'https://graph.microsoft.com/.default',
+			}),
+			{ timeout: 10000 }
+		);
+		this.graphToken = { value: res.data.access_token, expiresAt: Date.now() + (res.data.expires_in - 60) * 1000 };
+		return this.graphToken.value;
+	}
+
+	/**
+	 * Space EPFL API requests to stay under EPFL_API_RATE_LIMIT requests per second
+	 */
+	async _throttleEpfl() {
+		if (!(this.epflRateLimit > 0)) return;
+		const now = Date.now();
+		const slot = Math.max(now, this.epflNextSlot);
+		this.epflNextSlot = slot + 1000 / this.epflRateLimit;
+		if (slot > now) await sleep(slot - now);
+	}
+
+	/**
+	 * Map items through an async function with bounded concurrency
+	 * @param {Array} items
+	 * @param {number} concurrency - Maximum number of pending calls
+	 * @param {Function} fn - Async mapper
+	 * @returns {Array} - Results, in the order of items
+	 */
+	async _mapConcurrent(items, concurrency, fn) {
+		const results = new Array(items.length);
+		let next = 0;
+		const worker = async () => {
+			while (next < items.length) {
+				const index = next++;
+				results[index] = await fn(items[index], index);
+			}
+		};
+		await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+		return results;
+	}
+
 	_initCache() {
-		this.cache = { users: null, groups: null, collections: null, allowedUnits: null };
+		this.cache = { users: null, serviceUsers: null, groups: null, collections: null, allowedUnits: null, collectionPolicy: null, roleMapping: null, authorizations: new Map(), memberships: null, suspendedUsers: null, epflAdmins: null, archivedCollections: null, units: new Map() };
 	}
 
 	_initConfig() {
 		this.ADMIN_EMAIL = process.env.OUTLINE_ADMIN_EMAIL || 'admin@epfl.ch';
+		// Accounts of the init job (super admin, service users of the API keys), never synced
+		this.SERVICE_EMAILS = new Set([this.ADMIN_EMAIL, ...(process.env.OUTLINE_SERVICE_EMAILS || '').split(',')].filter(Boolean).map((e) => e.toLowerCase()));
 		this.ADMIN_GROUP = 'ADMINS';
 		this.ALLOWED_COLLECTIONS = (process.env.ALLOWED_COLLECTIONS || 'welcome').split(',').map((s) => s.toLowerCase());
 		this.ACCESS_GROUP = process.env.EPFL_ACCESS_GROUP;
+		this.UNIT_ADMIN_RIGHT = process.env.EPFL_UNIT_ADMIN_RIGHT || 'sidoc.admin';
+		this.SCIPER_ATTRIBUTE = process.env.SYNC_SCIPER_ATTRIBUTE || 'employeeId';
+		this.OUT_OF_SCOPE_GRACE_DAYS = Number(process.env.SYNC_OUT_OF_SCOPE_GRACE_DAYS || 30);
+		this.COLLECTION_REMOVAL = process.env.SYNC_COLLECTION_REMOVAL || 'archive';
+		this.COLLECTION_RETENTION_DAYS = Number(process.env.SYNC_COLLECTION_RETENTION_DAYS || 90);
+		if (!['archive', 'delete'].includes(this.COLLECTION_REMOVAL)) throw new Error(`Invalid SYNC_COLLECTION_REMOVAL: ${this.COLLECTION_REMOVAL}`);
+		this.EXPORT_DIR = process.env.SYNC_EXPORT_DIR;
+		this.EXPORT_FORMAT = process.env.SYNC_EXPORT_FORMAT || 'outline-markdown';
+		this.EXPORT_TIMEOUT_MS = Number(process.env.SYNC_EXPORT_TIMEOUT_MS || 600000);
+	}
+
+	_initState() {
+		this.stateFile = process.env.SYNC_STATE_FILE;
+		this.state = null;
+		// State changed while planning is only saved once the plan is applied
+		this.keepState = true;
+		this.onApplied = new Map();
+		this.journalFile = process.env.SYNC_JOURNAL_FILE;
+		this.runId = new Date().toISOString().replace(/[-:.]/g, '');
+	}
+
+	/**
+	 * Load state persisted between runs
+	 * @returns {object} - Sync state
+	 */
+	loadState() {
+		if (this.state) return this.state;
+
+		const empty = { outOfScope: {}, archivedCollections: {}, managed: { groups: {}, collections: {} }, collectionGrants: {}, identities: {}, reports: [] };
+		if (!this.stateFile) {
+			logger.warn('No state file configured, state will not persist between runs');
+			this.state = empty;
+		} else if (!fs.existsSync(this.stateFile)) {
+			logger.info('State file not found, starting with empty state', { file: this.stateFile });
+			this.state = empty;
+		} else {
+			const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+			this.state = { ...empty, ...saved };
+			logger.info('State loaded', {
+				file: this.stateFile,
+				outOfScope: Object.keys(this.state.outOfScope).length,
+				archivedCollections: Object.keys(this.state.archivedCollections).length,
+				managedGroups: Object.keys(this.state.managed.groups).length,
+				managedCollections: Object.keys(this.state.managed.collections).length,
+				identities: Object.keys(this.state.identities).length,
+			});
+		}
+		return this.state;
+	}
+
+	/**
+	 * Check whether a group or collection was created or adopted by the sync
+	 * @param {string} kind - 'groups' or 'collections'
+	 * @param {string} id
+	 * @returns {boolean}
+	 */
+	_isManaged(kind, id) {
+		return this._isPlanned(id) || !!this.loadState().managed[kind][id];
+	}
+
+	/**
+	 * Register a group or collection as managed by the sync
+	 * @param {string} kind - 'groups' or 'collections'
+	 * @param {object} item - Outline group or collection
+	 * @param {number} unitId - EPFL unit the object belongs to, if known
+	 */
+	_manage(kind, item, unitId) {
+		const entry = { name: item.name, since: new Date().toISOString() };
+		if (unitId) entry.unitId = unitId;
+		this.loadState().managed[kind][item.id] = entry;
+	}
+
+	/**
+	 * Get the EPFL unit ID of a managed group or collection
+	 * @param {string} kind - 'groups' or 'collections'
+	 * @param {string} id - Outline ID, possibly planned
+	 * @returns {number|undefined}
+	 */
+	_managedUnitId(kind, id) {
+		if (this._isPlanned(id)) return this.plan.find((a) => a.id === id)?.unitId;
+		return this.loadState().managed[kind][id]?.unitId;
+	}
+
+	/**
+	 * Find the managed group or collection bound to an EPFL unit
+	 * @param {string} kind - 'groups' or 'collections'
+	 * @param {Array} items - Outline groups or collections
+	 * @param {number} unitId
+	 * @returns {object|null}
+	 */
+	_findByUnitId(kind, items, unitId) {
+		if (!unitId) return null;
+		return items.find((i) => this._isManaged(kind, i.id) && this._managedUnitId(kind, i.id) === unitId) || null;
+	}
+
+	/**
+	 * Persist the report history
+	 * An unsuccessful run only adds its report to the state saved on disk, leaving the rest as it was
+	 * @param {string} status - 'success', 'failed' or 'aborted'
+	 * @param {Array} history - Reports, most recent first
+	 */
+	_saveReports(status, history) {
+		this.loadState().reports = history;
+		if (status === 'success' || !this.stateFile) return this.saveState();
+
+		const saved = fs.existsSync(this.stateFile) ? JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) : {};
+		this._writeState({ ...saved, reports: history });
+	}
+
+	/**
+	 * Persist state for the next run
+	 * Skipped when the plan of the run was not applied, after a safety abort or a failure while planning
+	 */
+	saveState() {
+		if (!this.stateFile || !this.state) return;
+		if (!this.keepState) {
+			logger.info('Plan not applied, state not saved');
+			return;
+		}
+		this._writeState(this.state);
+	}
+
+	/**
+	 * Write the state file atomically
+	 * @param {object} state
+	 */
+	_writeState(state) {
+		const tmp = `${this.stateFile}.tmp`;
+		fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+		fs.renameSync(tmp, this.stateFile);
+		logger.info('State saved', { file: this.stateFile });
+	}
+
+	_initPlan() {
+		this.dryRun = process.env.SYNC_DRY_RUN === 'true' || process.argv.includes('--plan');
+		this.planFile = process.env.SYNC_PLAN_FILE;
+		this.planning = false;
+		this.plan = [];
+		this.phase = null;
+		if (this.dryRun) logger.info('Plan mode enabled, no changes will be applied');
+	}
+
+	_initSafety() {
+		const limit = (name, env, fallback, population, matches) => {
+			const raw = process.env[env] || fallback;
+			return { name, raw, max: this._parseLimit(env, raw), population, matches };
+		};
+		this.safetyLimits = [
+			limit('suspensions', 'SYNC_MAX_SUSPENSIONS', '5%', 'users', (a) => a.action === 'suspendUser'),
+			limit('demotions', 'SYNC_MAX_DEMOTIONS', '10%', 'users', (a) => a.action === 'setUserRole' && ROLES.indexOf(a.role) < ROLES.indexOf(a.from)),
+			limit('groupRemovals', 'SYNC_MAX_GROUP_REMOVALS', '10%', 'memberships', (a) => a.action === 'removeUserFromGroup'),
+			limit('groupDeletions', 'SYNC_MAX_GROUP_DELETIONS', '10%', 'groups', (a) => a.action === 'deleteGroup'),
+			limit('collectionDeletions', 'SYNC_MAX_COLLECTION_DELETIONS', '5', 'collections', (a) => COLLECTION_REMOVED.includes(a.action)),
+			limit('collectionAccessRemovals', 'SYNC_MAX_COLLECTION_ACCESS_REMOVALS', '10%', 'collectionAccess', (a) => a.action === 'removeUserFromCollection'),
+			limit('accessGroupRemovals', 'SYNC_MAX_ACCESS_GROUP_REMOVALS', '10%', 'accessGroup', (a) => a.action === 'epflRemoveFromGroup' && a.group === this.ACCESS_GROUP),
+		];
+		this.forceDestructive = process.env.SYNC_FORCE_DESTRUCTIVE === 'true';
+		this.reportCollection = process.env.SYNC_REPORT_COLLECTION;
+		this.reportTitle = process.env.SYNC_REPORT_TITLE || 'Sync report';
+		this.reportHistory = Number(process.env.SYNC_REPORT_HISTORY || 50);
+	}
+
+	/**
+	 * Parse a safety limit, either an absolute count ("10") or a percentage ("5%")
+	 * @param {string} env - Env var name, for error messages
+	 * @param {string} value - Raw value, "off" disables the limit
+	 * @returns {object|null} - { value, percent } or null if disabled
+	 */
+	_parseLimit(env, value) {
+		if (value === 'off') return null;
+		const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value.trim());
+		if (!match) throw new Error(`Invalid value for ${env}: ${value}`);
+		return { value: Number(match[1]), percent: match[2] === '%' };
+	}
+
+	/**
+	 * Record an intended mutation instead of applying it
+	 * @param {string} action - Name of the mutating method
+	 * @param {object} target - Identifiers of the affected objects
+	 * @param {*} result - Value returned to the caller in place of the API result
+	 * @returns {*} - result
+	 */
+	_planAction(action, target, result) {
+		this.plan.push({ action, phase: this.phase, ...target });
+		logger.info('Planned action', { action, ...target });
+		return result;
+	}
+
+	/**
+	 * Overlay planned creations, deletions and renames on a list fetched from Outline
+	 * @param {Array} items - Objects as returned by the API
+	 * @param {string|Array} created - Actions adding objects
+	 * @param {string|Array} deleted - Actions removing objects
+	 * @returns {Array}
+	 */
+	_overlayPlan(items, created, deleted) {
+		const removed = new Set(this.plan.filter((a) => [].concat(deleted).includes(a.action)).map((a) => a.id));
+		const added = this.plan.filter((a) => [].concat(created).includes(a.action)).map((a) => ({ id: a.id, name: a.name }));
+		const renamed = new Map(this.plan.filter((a) => RENAME_ACTIONS.includes(a.action)).map((a) => [a.id, a.name]));
+		return [...items, ...added].filter((i) => !removed.has(i.id)).map((i) => (renamed.has(i.id) ? { ...i, name: renamed.get(i.id) } : i));
+	}
+
+	_isPlanned(id) {
+		return typeof id === 'string' && id.startsWith('planned:');
 	}
 
 	/**
@@ -123,12 +548,34 @@ class OutlineSync {
 		if (!this.cache.users || refresh) {
 			logger.info('Fetching users from Outline API');
 			const all = await this._outlinePost('/api/users.list');
-			this.cache.users = all.filter((u) => u.email !== this.ADMIN_EMAIL);
+			this.cache.serviceUsers = all.filter((u) => this._isServiceUser(u));
+			this.cache.users = all.filter((u) => !this._isServiceUser(u));
 			logger.info('Users fetched and cached', { count: this.cache.users.length });
 		}
 		return this.cache.users;
 	}
 
+	/**
+	 * Whether a user is an account of the init job, left alone by the sync
+	 * @param {object} user - Outline user
+	 * @returns {boolean}
+	 */
+	_isServiceUser(user) {
+		return this.SERVICE_EMAILS.has(user.email.toLowerCase());
+	}
+
+	/**
+	 * Get suspended Outline users
+	 * @returns {Array} - Users list
+	 */
+	async getSuspendedUsers() {
+		logger.info('Fetching suspended users from Outline API');
+		const all = await this._outlinePost('/api/users.list', { filter: 'suspended' });
+		this.cache.suspendedUsers = all.filter((u) => !this._isServiceUser(u));
+		logger.info('Suspended users fetched', { count: this.cache.suspendedUsers.length });
+		return this.cache.suspendedUsers;
+	}
+
 	/**
 	 * Get all Outline groups (cached)
 	 * @param {boolean} refresh - Force refresh cache
@@ -141,7 +588,7 @@ class OutlineSync {
 			this.cache.groups = raw.flatMap((d) => d.groups || d);
 			logger.info('Groups fetched and cached', { count: this.cache.groups.length });
 		}
-		return this.cache.groups;
+		return this.planning ? this._overlayPlan(this.cache.groups, 'createGroup', 'deleteGroup') : this.cache.groups;
 	}
 
 	/**
@@ -155,12 +602,26 @@ class OutlineSync {
 			this.cache.collections = await this._outlinePost('/api/collections.list');
 			logger.info('Collections fetched and cached', { count: this.cache.collections.length });
 		}
-		return this.cache.collections;
+		return this.planning ? this._overlayPlan(this.cache.collections, COLLECTION_ADDED, COLLECTION_REMOVED) : this.cache.collections;
+	}
+
+	/**
+	 * Get archived Outline collections (cached)
+	 * @param {boolean} refresh - Force refresh cache
+	 * @returns {Array} - Collections list
+	 */
+	async getArchivedCollections(refresh = false) {
+		if (!this.cache.archivedCollections || refresh) {
+			logger.info('Fetching archived collections from Outline API');
+			this.cache.archivedCollections = await this._outlinePost('/api/collections.list', { statusFilter: ['archived'] });
+			logger.info('Archived collections fetched and cached', { count: this.cache.archivedCollections.length });
+		}
+		return this.cache.archivedCollections;
 	}
 
 	/**
-	 * Get allowed units from config file
-	 * @returns {Array|false} - Allowed units or false if all allowed
+	 * Get allowed units rules from config file
+	 * @returns {object|false} - Compiled rules or false if all allowed
 	 */
 	async getAllowedUnits() {
 		if (this.cache.allowedUnits !== null) return this.cache.allowedUnits;
@@ -174,33 +635,218 @@ class OutlineSync {
 
 		logger.info('Loading allowed units from file', { file });
 		const content = fs.readFileSync(file, 'utf8');
-		this.cache.allowedUnits = JSON.parse(content).map((u) => u.toLowerCase());
-		logger.info('Allowed units loaded', { count: this.cache.allowedUnits.length });
+		this.cache.allowedUnits = this._compileUnitRules(JSON.parse(content));
+		logger.info('Allowed units loaded', {
+			count: this.cache.allowedUnits.entries.length,
+			include: this.cache.allowedUnits.include.length,
+			exclude: this.cache.allowedUnits.exclude.length,
+		});
 		return this.cache.allowedUnits;
 	}
 
 	/**
-	 * Check if unit is in allowed list
+	 * Get collection policy from config file
+	 * @returns {object} - { defaults, units } with units keyed by lowercased unit name
+	 */
+	async getCollectionPolicy() {
+		if (this.cache.collectionPolicy) return this.cache.collectionPolicy;
+
+		const file = process.env.SYNC_COLLECTION_POLICY_FILE;
+		let raw = {};
+		if (file) {
+			logger.info('Loading collection policy from file', { file });
+			raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+		} else {
+			logger.info('No collection policy file configured, using defaults');
+		}
+
+		const units = new Map(Object.entries(raw.units || {}).map(([name, policy]) => [name.toLowerCase(), this._validatePolicy(policy, name)]));
+		const defaults = this._validatePolicy({ ...DEFAULT_COLLECTION_POLICY, ...raw.defaults }, 'defaults');
+		this.cache.collectionPolicy = { defaults, units };
+		logger.info('Collection policy loaded', { overrides: units.size });
+		return this.cache.collectionPolicy;
+	}
+
+	/**
+	 * Check a collection policy entry
+	 * @param {object} policy
+	 * @param {string} scope - Where the entry comes from, for error messages
+	 * @returns {object} - The policy
+	 */
+	_validatePolicy(policy, scope) {
+		if (policy.permission !== undefined && !COLLECTION_PERMISSIONS.includes(policy.permission)) {
+			throw new Error(`Invalid collection policy permission for ${scope}: ${policy.permission}`);
+		}
+		if (policy.groupPermission !== undefined && !GROUP_PERMISSIONS.includes(policy.groupPermission)) {
+			throw new Error(`Invalid collection policy groupPermission for ${scope}: ${policy.groupPermission}`);
+		}
+		if (policy.sort !== undefined && (!['index', 'title'].includes(policy.sort.field) || !['asc', 'desc'].includes(policy.sort.direction))) {
+			throw new Error(`Invalid collection policy sort for ${scope}: ${JSON.stringify(policy.sort)}`);
+		}
+		return policy;
+	}
+
+	/**
+	 * Resolve the policy of a unit collection, per-unit overrides on top of defaults
+	 * @param {object} policy - Collection policy
 	 * @param {string} name - Unit name
-	 * @param {Array|false} allowed - Allowed units
+	 * @returns {object} - { attributes, groupPermission }, attributes as sent to Outline
+	 */
+	_resolvePolicy(policy, name) {
+		const merged = { ...policy.defaults, ...policy.units.get(name.toLowerCase()) };
+		const attributes = {};
+		for (const key of COLLECTION_ATTRIBUTES) {
+			if (merged[key] !== undefined) attributes[key] = merged[key];
+		}
+		// Outline makes a collection private by giving it no default permission
+		if (merged.private) attributes.permission = null;
+		return { attributes, groupPermission: merged.groupPermission };
+	}
+
+	/**
+	 * Compare a collection with its policy
+	 * @param {object} collection - Outline collection
+	 * @param {object} attributes - Expected attributes
+	 * @returns {object|null} - Attributes to update, or null if compliant
+	 */
+	_collectionDrift(collection, attributes) {
+		const changes = {};
+		for (const [key, value] of Object.entries(attributes)) {
+			const current = key === 'description' ? collection[key] || '' : (collection[key] ?? null);
+			if (JSON.stringify(current) !== JSON.stringify(value)) changes[key] = value;
+		}
+		return Object.keys(changes).length ? changes : null;
+	}
+
+	/**
+	 * Get the mapping of EPFL groups and rights to Outline roles from config file
+	 * Without file, members of OUTLINE_ADMIN_GROUP are admins and other roles are kept
+	 * @returns {object} - { default, rules }
+	 */
+	async getRoleMapping() {
+		if (this.cache.roleMapping) return this.cache.roleMapping;
+
+		const file = process.env.SYNC_ROLES_FILE;
+		let mapping = { default: null, rules: [{ role: 'admin', group: process.env.OUTLINE_ADMIN_GROUP }] };
+		if (file) {
+			logger.info('Loading role mapping from file', { file });
+			mapping = { default: null, rules: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+		} else {
+			logger.info('No role mapping file configured, using admin group only');
+		}
+
+		if (mapping.default !== null && !ROLES.includes(mapping.default)) throw new Error(`Invalid default role: ${mapping.default}`);
+		// Admins are only given by an explicit rule
+		if (mapping.default === 'admin') throw new Error('The default role cannot be admin');
+		for (const rule of mapping.rules) {
+			if (!ROLES.includes(rule.role)) throw new Error(`Invalid role in mapping: ${rule.role}`);
+			if (!rule.group === !rule.right) throw new Error(`Role mapping rule needs either a group or a right: ${JSON.stringify(rule)}`);
+		}
+
+		this.cache.roleMapping = mapping;
+		logger.info('Role mapping loaded', { default: mapping.default, rules: mapping.rules.length });
+		return mapping;
+	}
+
+	/**
+	 * Compile allowed units entries into matching rules
+	 * - "ISCS-BA": exact unit name
+	 * - "ISCS/*": the unit and all its descendants
+	 * - "ISCS-*": wildcard on the unit name (* and ?)
+	 * - "/^ISCS-(BA|BI)$/": regular expression on the unit name
+	 * - "!ISCS-ERP": exclusion, using any of the forms above
+	 * @param {Array} entries - Raw entries
+	 * @returns {object} - { entries, include, exclude, names, needsPath }
+	 */
+	_compileUnitRules(entries) {
+		const rules = { entries, include: [], exclude: [], names: [], needsPath: false };
+
+		for (const entry of entries) {
+			const exclude = entry.startsWith('!');
+			const value = (exclude ? entry.slice(1) : entry).trim();
+			let rule;
+
+			if (value.endsWith('/*')) {
+				const root = value.slice(0, -2).toLowerCase();
+				rule = (name, ancestors) => name === root || ancestors.includes(root);
+				rules.needsPath = true;
+			} else if (value.length > 2 && value.startsWith('/') && value.endsWith('/')) {
+				const regex = new RegExp(value.slice(1, -1), 'i');
+				rule = (name) => regex.test(name);
+			} else if (/[*?]/.test(value)) {
+				const pattern = value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+				const regex = new RegExp(`^${pattern}$`, 'i');
+				rule = (name) => regex.test(name);
+			} else {
+				const exact = value.toLowerCase();
+				rule = (name) => name === exact;
+				if (!exclude) rules.names.push(exact);
+			}
+
+			(exclude ? rules.exclude : rules.include).push(rule);
+		}
+
+		return rules;
+	}
+
+	/**
+	 * Check if unit matches the allowed units rules
+	 * Ancestors are resolved through the EPFL units API when a rule needs them
+	 * @param {object} unit - EPFL unit, with its path when known
+	 * @param {object|false} allowed - Allowed units rules
 	 * @returns {boolean}
 	 */
-	isUnitAllowed(name, allowed) {
-		return allowed === false || allowed.includes(name.toLowerCase());
+	async isUnitAllowed(unit, allowed) {
+		if (allowed === false) return true;
+
+		const name = unit.name.toLowerCase();
+		let ancestors = [];
+		if (allowed.needsPath) {
+			const unitPath = unit.path ?? (await this.epflGetUnit(unit.name))?.path ?? '';
+			ancestors = unitPath.toLowerCase().split(/\s+/).filter((n) => n && n !== name);
+		}
+
+		return allowed.include.some((rule) => rule(name, ancestors)) && !allowed.exclude.some((rule) => rule(name, ancestors));
+	}
+
+	/**
+	 * Keep the units matching the allowed units rules
+	 * @param {Array} units - EPFL units
+	 * @param {object|false} allowed - Allowed units rules
+	 * @returns {Array}
+	 */
+	async filterAllowedUnits(units, allowed) {
+		const filtered = [];
+		for (const unit of units) {
+			if (await this.isUnitAllowed(unit, allowed)) filtered.push(unit);
+		}
+		return filtered;
 	}
 
 	/**
-	 * Find Outline user by email
+	 * Find Outline user by SCIPER, or by email when the SCIPER is not known
 	 * @param {string} email
+	 * @param {number} sciper - Optional
 	 * @returns {object|null}
 	 */
-	async findUser(email) {
+	async findUser(email, sciper) {
 		const users = await this.getUsers();
-		const user = users.find((u) => u.email.toLowerCase() === email.toLowerCase()) || null;
-		logger.info('User lookup', { email, found: !!user });
+		const identities = this.loadState().identities;
+		const userId = sciper && Object.keys(identities).find((id) => identities[id].sciper === Number(sciper));
+		const user = (userId && users.find((u) => u.id === userId)) || users.find((u) => u.email.toLowerCase() === email.toLowerCase()) || null;
+		logger.info('User lookup', { email, sciper, found: !!user });
 		return user;
 	}
 
+	/**
+	 * Get the SCIPER of an Outline user, as read from their sign-in identity
+	 * @param {object} user - Outline user
+	 * @returns {number|undefined}
+	 */
+	_sciperOf(user) {
+		return this.loadState().identities[user.id]?.sciper;
+	}
+
 	/**
 	 * Find Outline group by name
 	 * @param {string} name
@@ -225,56 +871,109 @@ class OutlineSync {
 		return collection;
 	}
 
+	/**
+	 * Get the index of all group memberships (cached)
+	 * Loaded once per run, then kept up to date by group and membership mutations
+	 * @returns {Map} - Map of group ID to Map of user ID to user
+	 */
+	async getMemberships() {
+		if (!this.cache.memberships) {
+			await this.getGroups();
+			const groups = this.cache.groups;
+			logger.info('Fetching group memberships from Outline', { groups: groups.length });
+			const index = new Map();
+			for (const group of groups) {
+				const raw = await this._outlinePost('/api/groups.memberships', { id: group.id });
+				index.set(group.id, new Map(raw.flatMap((item) => item.users || []).map((u) => [u.id, u])));
+			}
+			this.cache.memberships = index;
+			const count = [...index.values()].reduce((sum, members) => sum + members.size, 0);
+			logger.info('Group memberships indexed', { groups: index.size, memberships: count });
+		}
+		return this.cache.memberships;
+	}
+
 	/**
 	 * Get members of an Outline group
 	 * @param {string} groupId
 	 * @returns {Array}
 	 */
 	async getGroupMembers(groupId) {
-		logger.info('Fetching group members from Outline', { groupId });
-		const raw = await this._outlinePost('/api/groups.memberships', { id: groupId });
-		const members = raw.flatMap((item) => item.users || []);
-		logger.info('Group members fetched', { groupId, count: members.length });
+		const index = await this.getMemberships();
+		let members = [...(index.get(groupId)?.values() || [])];
+		if (this.planning) {
+			const planned = this.plan.filter((a) => a.groupId === groupId);
+			const removed = new Set(planned.filter((a) => a.action === 'removeUserFromGroup').map((a) => a.userId));
+			const added = planned.filter((a) => a.action === 'addUserToGroup').map((a) => ({ id: a.userId }));
+			members = [...members, ...added].filter((m) => !removed.has(m.id));
+		}
 		return members;
 	}
 
 	/**
 	 * Create Outline group
 	 * @param {string} name
+	 * @param {number} unitId - EPFL unit the group belongs to
 	 * @returns {object} - Created group
 	 */
-	async createGroup(name) {
+	async createGroup(name, unitId) {
+		if (this.planning) return this._planAction('createGroup', { id: `planned:group:${name}`, name, unitId }, { id: `planned:group:${name}`, name });
 		const res = await this.outline.post('/api/groups.create', { name });
 		const group = res.data.data;
-		logger.info('Group created', { name, id: group.id });
+		logger.info('Group created', { name, id: group.id, unitId });
+		this._manage('groups', group, unitId);
 		this.cache.groups = null;
+		this.cache.memberships?.set(group.id, new Map());
 		return group;
 	}
 
+	/**
+	 * Rename Outline group, keeping its memberships
+	 * @param {string} id
+	 * @param {string} name - New name
+	 * @param {string} from - Current name
+	 */
+	async renameGroup(id, name, from) {
+		if (this.planning) return this._planAction('renameGroup', { id, name, from });
+		await this.outline.post('/api/groups.update', { id, name });
+		logger.info('Group renamed', { id, from, name });
+		const entry = this.loadState().managed.groups[id];
+		if (entry) entry.name = name;
+		this.cache.groups = null;
+	}
+
 	/**
 	 * Delete Outline group
 	 * @param {string} id
 	 * @param {string} name
 	 */
 	async deleteGroup(id, name) {
+		if (this.planning) return this._planAction('deleteGroup', { id, name });
 		await this.outline.post('/api/groups.delete', { id });
 		logger.info('Group deleted', { name, id });
+		delete this.loadState().managed.groups[id];
 		this.cache.groups = null;
+		this.cache.memberships?.delete(id);
 	}
 
 	/**
 	 * Add user to Outline group
 	 * @param {string} userId
 	 * @param {string} groupId
+	 * @param {string} reason - Why, for the journal
 	 * @returns {boolean} - true if added, false if already member
 	 */
-	async addUserToGroup(userId, groupId) {
+	async addUserToGroup(userId, groupId, reason) {
 		const members = await this.getGroupMembers(groupId);
 		if (members.some((m) => m.id === userId)) {
 			logger.info('User already in group', { userId, groupId });
 			return false;
 		}
+		if (this.planning) return this._planAction('addUserToGroup', { userId, groupId, reason }, true);
 		await this.outline.post('/api/groups.add_user', { id: groupId, userId });
+		const index = await this.getMemberships();
+		if (!index.has(groupId)) index.set(groupId, new Map());
+		index.get(groupId).set(userId, this.cache.users?.find((u) => u.id === userId) || { id: userId });
 		return true;
 	}
 
@@ -282,79 +981,289 @@ class OutlineSync {
 	 * Remove user from Outline group
 	 * @param {string} userId
 	 * @param {string} groupId
+	 * @param {string} reason - Why, for the journal
 	 */
-	async removeUserFromGroup(userId, groupId) {
+	async removeUserFromGroup(userId, groupId, reason) {
+		if (this.planning) return this._planAction('removeUserFromGroup', { userId, groupId, reason });
 		await this.outline.post('/api/groups.remove_user', { id: groupId, userId });
+		this.cache.memberships?.get(groupId)?.delete(userId);
 	}
 
 	/**
 	 * Create Outline collection
 	 * @param {string} name
+	 * @param {number} unitId - EPFL unit the collection belongs to
+	 * @param {object} attributes - Attributes from the collection policy
 	 * @returns {object} - Created collection
 	 */
-	async createCollection(name) {
-		const res = await this.outline.post('/api/collections.create', { name, permission: 'read', private: false });
+	async createCollection(name, unitId, attributes = {}) {
+		if (this.planning) {
+			const id = `planned:collection:${name}`;
+			return this._planAction('createCollection', { id, name, unitId, attributes }, { id, name, ...attributes });
+		}
+		const res = await this.outline.post('/api/collections.create', { name, private: attributes.permission === null, ...attributes });
 		const collection = res.data.data;
-		logger.info('Collection created', { name, id: collection.id });
+		logger.info('Collection created', { name, id: collection.id, unitId });
+		this._manage('collections', collection, unitId);
 		this.cache.collections = null;
 		return collection;
 	}
 
+	/**
+	 * Rename Outline collection, keeping its documents
+	 * @param {string} id
+	 * @param {string} name - New name
+	 * @param {string} from - Current name
+	 */
+	async renameCollection(id, name, from) {
+		if (this.planning) return this._planAction('renameCollection', { id, name, from });
+		await this.outline.post('/api/collections.update', { id, name });
+		logger.info('Collection renamed', { id, from, name });
+		const entry = this.loadState().managed.collections[id];
+		if (entry) entry.name = name;
+		const archived = this.loadState().archivedCollections[id];
+		if (archived) archived.name = name;
+		this.cache.collections = null;
+	}
+
+	/**
+	 * Update Outline collection attributes
+	 * @param {string} id
+	 * @param {string} name
+	 * @param {object} changes - Attributes to set
+	 * @param {object} before - Current values, for the journal
+	 */
+	async updateCollection(id, name, changes, before) {
+		if (this.planning) return this._planAction('updateCollection', { id, name, changes, before });
+		const body = { id, ...changes };
+		if ('permission' in changes) body.private = changes.permission === null;
+		await this.outline.post('/api/collections.update', body);
+		logger.info('Collection updated', { id, name, changes: Object.keys(changes) });
+		this.cache.collections = null;
+	}
+
 	/**
 	 * Delete Outline collection
 	 * @param {string} id
 	 * @param {string} name
+	 * @returns {boolean} - false if the export failed and the collection was kept
 	 */
 	async deleteCollection(id, name) {
+		if (this.planning) return this._planAction('deleteCollection', { id, name }, true);
+
+		if (this.EXPORT_DIR) {
+			try {
+				await this.exportCollection(id, name);
+			} catch (err) {
+				logger.error('Collection export failed, collection not deleted', { name, id, error: err.message });
+				return false;
+			}
+		} else {
+			logger.warn('No export directory configured, deleting collection without export', { name, id });
+		}
+
 		await this.outline.post('/api/collections.delete', { id });
 		logger.info('Collection deleted', { name, id });
 		this.cache.collections = null;
+		this.cache.archivedCollections = null;
+		delete this.loadState().archivedCollections[id];
+		delete this.loadState().managed.collections[id];
+		delete this.loadState().collectionGrants[id];
+		return true;
+	}
+
+	/**
+	 * Export Outline collection content to the export directory
+	 * @param {string} id
+	 * @param {string} name
+	 * @returns {string} - Path of the exported archive
+	 */
+	async exportCollection(id, name) {
+		const res = await this.outline.post('/api/collections.export', { id, format: this.EXPORT_FORMAT });
+		let operation = res.data.data.fileOperation;
+		logger.info('Collection export started', { name, id, fileOperationId: operation.id, format: this.EXPORT_FORMAT });
+
+		const deadline = Date.now() + this.EXPORT_TIMEOUT_MS;
+		while (operation.state !== 'complete') {
+			if (['error', 'expired'].includes(operation.state)) throw new Error(`Export ${operation.state}: ${operation.error || 'no details'}`);
+			if (Date.now() > deadline) throw new Error(`Export not complete after ${this.EXPORT_TIMEOUT_MS}ms`);
+			await sleep(5000);
+			operation = (await this.outline.post('/api/fileOperations.info', { id: operation.id })).data.data;
+		}
+
+		fs.mkdirSync(this.EXPORT_DIR, { recursive: true });
+		const slug = name.replace(/[^a-z0-9_-]+/gi, '_');
+		const file = path.join(this.EXPORT_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}-${id}.zip`);
+		const download = await this.outline.post('/api/fileOperations.redirect', { id: operation.id }, { responseType: 'stream', timeout: this.EXPORT_TIMEOUT_MS });
+		await pipeline(download.data, fs.createWriteStream(file));
+
+		logger.info('Collection exported', { name, id, file, size: fs.statSync(file).size });
+		return file;
+	}
+
+	/**
+	 * Archive Outline collection, remembering when for the retention period
+	 * @param {string} id
+	 * @param {string} name
+	 */
+	async archiveCollection(id, name) {
+		if (this.planning) return this._planAction('archiveCollection', { id, name });
+		await this.outline.post('/api/collections.archive', { id });
+		logger.info('Collection archived', { name, id });
+		this.cache.collections = null;
+		this.cache.archivedCollections = null;
+		this.loadState().archivedCollections[id] = { name, archivedAt: new Date().toISOString() };
+	}
+
+	/**
+	 * Restore archived Outline collection
+	 * @param {string} id
+	 * @param {string} name
+	 * @returns {object} - Restored collection
+	 */
+	async restoreCollection(id, name) {
+		if (this.planning) return this._planAction('restoreCollection', { id, name }, { id, name });
+		const res = await this.outline.post('/api/collections.restore', { id });
+		logger.info('Collection restored', { name, id });
+		this.cache.collections = null;
+		this.cache.archivedCollections = null;
+		delete this.loadState().archivedCollections[id];
+		return res.data.data;
 	}
 
 	/**
-	 * Add group to collection
+	 * Add group to collection, or fix the permission of a linked group
 	 * @param {string} groupId
 	 * @param {string} collectionId
-	 * @returns {boolean} - true if linked, false if already linked
-	 */
-	async addGroupToCollection(groupId, collectionId) {
-		logger.info('Fetching collection group memberships', { collectionId });
-		const raw = await this._outlinePost('/api/collections.group_memberships', { id: collectionId });
-		const existing = raw.flatMap((item) => item.groups || []);
-		logger.info('Collection group memberships fetched', { collectionId, count: existing.length });
-		if (existing.some((g) => g.id === groupId)) return false;
-		await this.outline.post('/api/collections.add_group', { id: collectionId, groupId, permission: 'read_write' });
-		logger.info('Group linked to collection', { groupId, collectionId });
+	 * @param {string} permission - Group permission on the collection
+	 * @returns {boolean} - true if linked or updated, false if already linked with this permission
+	 */
+	async addGroupToCollection(groupId, collectionId, permission = 'read_write') {
+		let current;
+		if (!this._isPlanned(collectionId)) {
+			logger.info('Fetching collection group memberships', { collectionId });
+			const raw = await this._outlinePost('/api/collections.group_memberships', { id: collectionId });
+			const existing = raw.flatMap((item) => item.groups || []);
+			const memberships = raw.flatMap((item) => item.collectionGroupMemberships || []);
+			logger.info('Collection group memberships fetched', { collectionId, count: existing.length });
+			current = memberships.find((m) => m.groupId === groupId);
+			if (current ? current.permission === permission : existing.some((g) => g.id === groupId)) return false;
+		}
+		if (this.planning) {
+			const planned = this.plan.some((a) => a.action === 'addGroupToCollection' && a.groupId === groupId && a.collectionId === collectionId);
+			return planned ? false : this._planAction('addGroupToCollection', { groupId, collectionId, permission, from: current?.permission ?? null }, true);
+		}
+		// add_group also updates the permission of an already linked group
+		await this.outline.post('/api/collections.add_group', { id: collectionId, groupId, permission });
+		logger.info('Group linked to collection', { groupId, collectionId, permission });
 		return true;
 	}
 
 	/**
-	 * Set user admin role
-	 * @param {string} userId
-	 * @param {string} email
-	 * @param {boolean} isAdmin
-	 * @returns {boolean} - true if changed, false if no change needed
-	 */
-	async setUserAdmin(userId, email, isAdmin) {
-		logger.info('Fetching user info from Outline', { userId, email });
-		const res = await this.outline.post('/api/users.info', { id: userId });
-		const current = res.data.data.role;
-		logger.info('User info fetched', { userId, email, currentRole: current });
-		const target = isAdmin ? 'admin' : 'viewer';
-		if ((isAdmin && current === 'admin') || (!isAdmin && current !== 'admin')) return false;
-		await this.outline.post('/api/users.update_role', { id: userId, role: target });
-		logger.info(isAdmin ? 'User promoted to admin' : 'Admin role removed', { email, userId });
-		return true;
+	 * Remove group from collection
+	 * @param {string} groupId
+	 * @param {string} collectionId
+	 */
+	async removeGroupFromCollection(groupId, collectionId) {
+		if (this.planning) return this._planAction('removeGroupFromCollection', { groupId, collectionId });
+		await this.outline.post('/api/collections.remove_group', { id: collectionId, groupId });
+		logger.info('Group unlinked from collection', { groupId, collectionId });
 	}
 
 	/**
-	 * Suspend Outline user
-	 * @param {string} userId
-	 * @param {string} email
+	 * Get direct user permissions on a collection
+	 * @param {string} collectionId
+	 * @returns {Map} - userId -> permission
 	 */
-	async suspendUser(userId, email) {
-		await this.outline.post('/api/users.suspend', { id: userId });
-		logger.info('User suspended', { email, userId });
+	async getCollectionUsers(collectionId) {
+		if (this._isPlanned(collectionId)) return new Map();
+		logger.info('Fetching collection user memberships', { collectionId });
+		const raw = await this._outlinePost('/api/collections.memberships', { id: collectionId });
+		const memberships = raw.flatMap((item) => item.memberships || []);
+		logger.info('Collection user memberships fetched', { collectionId, count: memberships.length });
+		return new Map(memberships.map((m) => [m.userId, m.permission]));
+	}
+
+	/**
+	 * Give a user a direct permission on a collection
+	 * The grant is recorded with the permission the user had before the sync, which it goes back to once revoked
+	 * @param {string} userId
+	 * @param {string} collectionId
+	 * @param {string} permission
+	 * @param {string} from - Current permission, for the journal
+	 */
+	async addUserToCollection(userId, collectionId, permission, from = null) {
+		if (this.planning) return this._planAction('addUserToCollection', { userId, collectionId, permission, from });
+		// add_user also updates the permission of an existing member
+		await this.outline.post('/api/collections.add_user', { id: collectionId, userId, permission });
+		logger.info('User given collection access', { userId, collectionId, permission });
+
+		this._recordGrant(this.loadState().collectionGrants, collectionId, userId, permission, from);
+	}
+
+	/**
+	 * Record a direct collection permission given by the sync
+	 * @param {object} grants - Grants by collection and user
+	 * @param {string} collectionId
+	 * @param {string} userId
+	 * @param {string} permission - Permission given
+	 * @param {string|null} from - Permission the user had
+	 */
+	_recordGrant(grants, collectionId, userId, permission, from) {
+		const collection = (grants[collectionId] ||= {});
+		const before = collection[userId] ? collection[userId].from : from;
+		if (before && before === permission) delete collection[userId];
+		else collection[userId] = { permission, from: before };
+	}
+
+	/**
+	 * Remove the direct permission of a user on a collection
+	 * @param {string} userId
+	 * @param {string} collectionId
+	 * @param {string} from - Current permission, for the journal
+	 */
+	async removeUserFromCollection(userId, collectionId, from) {
+		if (this.planning) return this._planAction('removeUserFromCollection', { userId, collectionId, from });
+		await this.outline.post('/api/collections.remove_user', { id: collectionId, userId });
+		logger.info('User collection access removed', { userId, collectionId });
+		delete this.loadState().collectionGrants[collectionId]?.[userId];
+	}
+
+	/**
+	 * Set user role
+	 * @param {string} userId
+	 * @param {string} email
+	 * @param {string} role - 'admin', 'member', 'viewer' or 'guest'
+	 * @param {string} from - Current role
+	 */
+	async setUserRole(userId, email, role, from) {
+		if (this.planning) return this._planAction('setUserRole', { userId, email, role, from });
+		await this.outline.post('/api/users.update_role', { id: userId, role });
+		logger.info('User role changed', { email, userId, from, role });
+	}
+
+	/**
+	 * Suspend Outline user
+	 * @param {string} userId
+	 * @param {string} email
+	 * @param {string} reason - Why, for the journal
+	 */
+	async suspendUser(userId, email, reason) {
+		if (this.planning) return this._planAction('suspendUser', { userId, email, reason });
+		await this.outline.post('/api/users.suspend', { id: userId });
+		logger.info('User suspended', { email, userId });
+	}
+
+	/**
+	 * Reactivate suspended Outline user
+	 * @param {string} userId
+	 * @param {string} email
+	 * @param {string} reason - Why, for the journal
+	 */
+	async activateUser(userId, email, reason) {
+		if (this.planning) return this._planAction('activateUser', { userId, email, reason });
+		await this.outline.post('/api/users.activate', { id: userId });
+		logger.info('User reactivated', { email, userId });
 	}
 
 	/**
@@ -377,14 +1286,111 @@ class OutlineSync {
 		}
 	}
 
+	/**
+	 * Get unit from EPFL API (cached)
+	 * @param {string|number} identifier - Unit name or ID
+	 * @returns {object|null}
+	 */
+	async epflGetUnit(identifier) {
+		const key = String(identifier).toLowerCase();
+		if (!this.cache.units.has(key)) {
+			logger.info('Fetching unit from EPFL API', { identifier });
+			try {
+				const res = await this.epfl.get(`/units/${encodeURIComponent(identifier)}`);
+				this.cache.units.set(key, res.data);
+			} catch (err) {
+				if (err.response?.status !== 404) throw err;
+				logger.warn('Unit not found in EPFL', { identifier });
+				this.cache.units.set(key, null);
+			}
+		}
+		return this.cache.units.get(key);
+	}
+
+	/**
+	 * Read the Entra object ID of each Outline user from the Outline database
+	 * @returns {Array} - { userId, objectId } of each user signed in through Entra ID
+	 */
+	async outlineGetObjectIds() {
+		const client = new Client({ connectionString: this.databaseUrl });
+		await client.connect();
+		try {
+			const res = await client.query(`
+				SELECT ua."userId", ua."providerId"
+				FROM user_authentications ua
+				JOIN authentication_providers ap ON ap.id = ua."authenticationProviderId"
+				WHERE ap.name = 'azure'
+			`);
+			return res.rows.map((row) => ({ userId: row.userId, objectId: row.providerId }));
+		} finally {
+			await client.end();
+		}
+	}
+
+	/**
+	 * Get the SCIPER of an Entra user, from its SYNC_SCIPER_ATTRIBUTE attribute
+	 * @param {string} objectId - Entra object ID
+	 * @returns {number|null} - null if the user or its SCIPER is missing
+	 */
+	async entraGetSciper(objectId) {
+		try {
+			const res = await this.graph.get(`/users/${objectId}`, { params: { $select: this.SCIPER_ATTRIBUTE } });
+			const sciper = Number(res.data[this.SCIPER_ATTRIBUTE]);
+			return Number.isInteger(sciper) && sciper > 0 ? sciper : null;
+		} catch (err) {
+			if (err.response?.status === 404) return null;
+			throw err;
+		}
+	}
+
+	/**
+	 * Read the SCIPER of Outline users from their sign-in identity
+	 * The Entra object ID of each user comes from the Outline database, their SCIPER from Entra ID.
+	 * Resolved object IDs are kept in the state, so only new sign-ins are looked up
+	 */
+	async loadIdentities() {
+		const identities = this.loadState().identities;
+		if (!this.databaseUrl || !this.graph) {
+			logger.warn('OUTLINE_DATABASE_URL or AZURE_* not set, users are matched by email only');
+			for (const userId of Object.keys(identities)) delete identities[userId];
+			return;
+		}
+
+		const linked = await this.outlineGetObjectIds();
+		const userIds = new Set(linked.map((l) => l.userId));
+		for (const userId of Object.keys(identities)) {
+			if (!userIds.has(userId)) delete identities[userId];
+		}
+
+		const pending = linked.filter((l) => identities[l.userId]?.objectId !== l.objectId);
+		const scipers = await this._mapConcurrent(pending, this.epflConcurrency, (l) => this.entraGetSciper(l.objectId));
+		for (const [index, { userId, objectId }] of pending.entries()) {
+			if (scipers[index]) {
+				identities[userId] = { sciper: scipers[index], objectId };
+			} else {
+				delete identities[userId];
+				logger.warn('Entra user has no SCIPER, matched by email', { userId, objectId, attribute: this.SCIPER_ATTRIBUTE });
+			}
+		}
+		logger.info('User identities loaded', { linked: linked.length, resolved: pending.length, known: Object.keys(identities).length });
+	}
+
 	/**
 	 * Get user units from EPFL API
-	 * @param {string} email
+	 * The person is looked up by SCIPER when known from the sign-in identity, by email otherwise
+	 * @param {object} user - Outline user
 	 * @returns {Array|null} - null if user not found
 	 */
-	async epflGetUserUnits(email) {
-		const person = await this.epflGetPerson(email);
+	async epflGetUserUnits(user) {
+		const { email } = user;
+		const sciper = this._sciperOf(user);
+		const person = await this.epflGetPerson(sciper || email);
 		if (!person) return null;
+
+		if (sciper && person.email && person.email.toLowerCase() !== email.toLowerCase()) {
+			logger.info('User email differs from EPFL', { email, epflEmail: person.email, sciper });
+		}
+
 		logger.info('Fetching units for user from EPFL', { email, persid: person.id });
 		const res = await this.epfl.get(`/units?persid=${person.id}`);
 		const units = res.data.units || [];
@@ -406,15 +1412,40 @@ class OutlineSync {
 	}
 
 	/**
-	 * Get sidoc.readwrite authorizations from EPFL API
+	 * Get members of the EPFL admin group (cached)
 	 * @returns {Array}
 	 */
-	async epflGetAuthorizations() {
-		logger.info('Fetching sidoc.readwrite authorizations from EPFL API');
-		const res = await this.epfl.get('/authorizations', { params: { authid: 'sidoc.readwrite', type: 'right' } });
-		const auths = res.data.authorizations || [];
-		logger.info('Authorizations fetched from EPFL', { count: auths.length });
-		return auths;
+	async getEpflAdmins() {
+		if (!this.cache.epflAdmins) this.cache.epflAdmins = await this.epflGetGroupMembers(process.env.OUTLINE_ADMIN_GROUP);
+		return this.cache.epflAdmins;
+	}
+
+	/**
+	 * Get the Outline users of the EPFL admin group, matched by SCIPER or email
+	 * @returns {Set} - Outline user IDs
+	 */
+	async getAdminUserIds() {
+		const ids = new Set();
+		for (const admin of await this.getEpflAdmins()) {
+			const user = await this.findUser(admin.email, admin.id);
+			if (user) ids.add(user.id);
+		}
+		return ids;
+	}
+
+	/**
+	 * Get authorizations of an EPFL right (cached)
+	 * @param {string} right - Right name
+	 * @returns {Array}
+	 */
+	async epflGetAuthorizations(right = 'sidoc.readwrite') {
+		if (!this.cache.authorizations.has(right)) {
+			logger.info('Fetching authorizations from EPFL API', { right });
+			const res = await this.epfl.get('/authorizations', { params: { authid: right, type: 'right' } });
+			this.cache.authorizations.set(right, res.data.authorizations || []);
+			logger.info('Authorizations fetched from EPFL', { right, count: this.cache.authorizations.get(right).length });
+		}
+		return this.cache.authorizations.get(right);
 	}
 
 	/**
@@ -424,6 +1455,7 @@ class OutlineSync {
 	 */
 	async epflAddToGroup(scipers, group) {
 		if (!scipers.length) return;
+		if (this.planning) return this._planAction('epflAddToGroup', { group, scipers });
 		await this.epfl.post(`/groups/${group}/members`, { ids: scipers.join(',') });
 		logger.info('Users added to EPFL group', { group, count: scipers.length, scipers });
 	}
@@ -434,12 +1466,61 @@ class OutlineSync {
 	 * @param {string} group
 	 */
 	async epflRemoveFromGroup(sciper, group) {
+		if (this.planning) return this._planAction('epflRemoveFromGroup', { group, sciper });
 		await this.epfl.delete(`/groups/${group}/members/${sciper}`);
 		logger.info('User removed from EPFL group', { group, sciper });
 	}
 
+	/**
+	 * Declare that a user should be member of a unit group
+	 * @param {object} unit - EPFL unit ({ id, name })
+	 * @param {object} user - Outline user
+	 * @param {string} reason - Source of the membership ('accreditation' or 'authorization')
+	 */
+	_desireMembership(unit, user, reason) {
+		const members = this._desiredUnit(unit).members;
+		if (!members.has(user.id)) members.set(user.id, { user, reasons: new Set() });
+		members.get(user.id).reasons.add(reason);
+	}
+
+	/**
+	 * Declare that a user should have a direct permission on a unit collection,
+	 * on top of the read access given by the unit group
+	 * @param {object} unit - EPFL unit ({ id, name })
+	 * @param {object} user - Outline user
+	 * @param {string} permission - 'read_write' or 'admin', the highest declared wins
+	 */
+	_desireCollectionAccess(unit, user, permission) {
+		const access = this._desiredUnit(unit).access;
+		const current = access.get(user.id)?.permission;
+		if (GROUP_PERMISSIONS.indexOf(permission) > GROUP_PERMISSIONS.indexOf(current)) access.set(user.id, { user, permission });
+	}
+
+	/**
+	 * Get the desired state of a unit, creating it on first use
+	 * @param {object} unit - EPFL unit ({ id, name })
+	 * @returns {object} - { unitId, name, members, access }
+	 */
+	_desiredUnit(unit) {
+		const unitId = unit.id ? Number(unit.id) : undefined;
+		const key = unitId ? `unit:${unitId}` : unit.name.toLowerCase();
+		if (!this.desired.has(key)) this.desired.set(key, { unitId, name: unit.name, members: new Map(), access: new Map() });
+		return this.desired.get(key);
+	}
+
+	/**
+	 * Find the desired state of a managed unit group
+	 * @param {object} group - Outline group
+	 * @returns {object|undefined}
+	 */
+	_desiredForGroup(group) {
+		const unitId = this._managedUnitId('groups', group.id);
+		return (unitId && this.desired.get(`unit:${unitId}`)) || this.desired.get(group.name.toLowerCase());
+	}
+
 	/**
 	 * Sync users based on unit accreditation
+	 * Suspends users unknown to EPFL and collects accreditation-based memberships
 	 */
 	async syncUsers() {
 		const users = await this.getUsers(true);
@@ -449,91 +1530,141 @@ class OutlineSync {
 		logger.info('Starting user synchronization', {
 			users: users.length,
 			groups: groups.length,
-			allowedUnits: allowedUnits === false ? 'all' : allowedUnits.length,
+			allowedUnits: allowedUnits === false ? 'all' : allowedUnits.entries.length,
 		});
 
-		const stats = { processed: 0, suspended: 0, groupsCreated: 0, added: 0, removed: 0 };
-		const userUnitsMap = new Map();
-		const validGroups = new Set([this.ADMIN_GROUP.toLowerCase()]);
+		const stats = { processed: 0, suspended: 0, unmatched: 0, memberships: 0 };
+		this.population.users = users.length;
 
-		for (const user of users) {
-			const units = await this.epflGetUserUnits(user.email);
+		await this.loadIdentities();
+		const started = Date.now();
+		const known = new Set(users.filter((u) => this._sciperOf(u)).map((u) => u.id));
+		const userUnits = await this._mapConcurrent(users, this.epflConcurrency, (user) => this.epflGetUserUnits(user));
+		const duration = (Date.now() - started) / 1000;
 
-			if (units === null) {
-				logger.warn('User no longer exists in EPFL, suspending', { email: user.email, userId: user.id });
-				await this.suspendUser(user.id, user.email);
+		logger.info('Unit data retrieval completed', {
+			users: users.length,
+			concurrency: this.epflConcurrency,
+			durationSeconds: duration,
+			usersPerSecond: duration > 0 ? Number((users.length / duration).toFixed(2)) : users.length,
+		});
+
+		for (const [index, user] of users.entries()) {
+			const units = userUnits[index];
+
+			if (units === null && known.has(user.id)) {
+				logger.warn('User no longer exists in EPFL, suspending', { email: user.email, userId: user.id, sciper: this._sciperOf(user) });
+				await this.suspendUser(user.id, user.email, 'person no longer exists in EPFL');
 				stats.suspended++;
-				userUnitsMap.set(user.email, []);
+				continue;
+			}
+			if (units === null) {
+				// Never matched: may be an alias, left to the out-of-scope policy
+				logger.warn('User matches no EPFL person by SCIPER nor email', { email: user.email, userId: user.id });
+				this.unmatched.push(user.email);
+				stats.unmatched++;
 				continue;
 			}
 
-			const filtered = units.filter((u) => this.isUnitAllowed(u.name, allowedUnits));
-			userUnitsMap.set(user.email, filtered);
+			const filtered = await this.filterAllowedUnits(units, allowedUnits);
+			for (const unit of filtered) {
+				this._desireMembership(unit, user, 'accreditation');
+				stats.memberships++;
+			}
 			stats.processed++;
 
 			logger.info('Retrieved units for user', { email: user.email, total: units.length, allowed: filtered.length });
 		}
 
-		logger.info('Unit data retrieval completed', { users: users.length, unitsFound: stats.processed });
-
-		for (const user of users) {
-			const units = userUnitsMap.get(user.email) || [];
-			logger.info('Processing user units', { email: user.email, units: units.length });
-
-			for (const unit of units) {
-				let group = await this.findGroup(unit.name);
-				if (!group) {
-					group = await this.createGroup(unit.name);
-					stats.groupsCreated++;
-				}
+		const suspended = await this.getSuspendedUsers();
+		const suspendedUnits = await this._mapConcurrent(suspended, this.epflConcurrency, (user) => this.epflGetUserUnits(user));
+		const reactivated = [];
 
-				const added = await this.addUserToGroup(user.id, group.id);
-				if (added) {
-					logger.info('User added to group', { email: user.email, group: unit.name });
-					stats.added++;
-				}
+		for (const [index, user] of suspended.entries()) {
+			const filtered = await this.filterAllowedUnits(suspendedUnits[index] || [], allowedUnits);
+			if (!filtered.length) continue;
 
-				validGroups.add(unit.name.toLowerCase());
+			logger.info('Suspended user is back in EPFL, reactivating', { email: user.email, userId: user.id, units: filtered.length });
+			await this.activateUser(user.id, user.email, 'accredited again in an allowed unit');
+			reactivated.push(user.email);
+			for (const unit of filtered) {
+				this._desireMembership(unit, user, 'accreditation');
+				stats.memberships++;
 			}
 		}
 
-		const allGroups = await this.getGroups(true);
-		for (const group of allGroups) {
-			const nameLower = group.name.toLowerCase();
-			if (nameLower === this.ADMIN_GROUP.toLowerCase()) continue;
+		this.stats[this.phase] = { ...stats, reactivated: reactivated.length };
+		logger.info('User synchronization completed', { ...stats, reactivated: reactivated.length, reactivatedUsers: reactivated, unmatchedUsers: this.unmatched });
+	}
 
-			if (!validGroups.has(nameLower)) {
-				const members = await this.getGroupMembers(group.id);
-				if (members.length === 0) {
-					await this.deleteGroup(group.id, group.name);
-					logger.info('Obsolete empty group deleted', { group: group.name });
-				} else {
-					logger.debug('Group not deleted - has members', { group: group.name, members: members.length });
-				}
-				continue;
-			}
+	/**
+	 * Apply the out-of-scope policy to active users
+	 * Users without any allowed unit, authorization or admin right stay active during
+	 * the grace period, then get suspended
+	 */
+	async syncUserScope() {
+		const users = await this.getUsers();
+		const admins = await this.getAdminUserIds();
+		const inScope = new Set([...this.desired.values()].flatMap((g) => [...g.members.keys(), ...g.access.keys()]));
+		const suspensions = new Map(this.plan.filter((a) => a.action === 'suspendUser').map((a) => [a.userId, a]));
+		const outOfScope = this.loadState().outOfScope;
+		const now = new Date();
 
-			const members = await this.getGroupMembers(group.id);
-			for (const member of members) {
-				const user = users.find((u) => u.id === member.id);
-				if (!user) continue;
+		logger.info('Starting user scope policy', { users: users.length, inScope: inScope.size, graceDays: this.OUT_OF_SCOPE_GRACE_DAYS });
 
-				const userUnits = userUnitsMap.get(user.email) || [];
-				const shouldBeIn = userUnits.some((u) => u.name.toLowerCase() === nameLower);
+		const stats = { outOfScope: 0, backInScope: 0, suspended: 0 };
+		const pending = [];
 
-				if (!shouldBeIn) {
-					await this.removeUserFromGroup(member.id, group.id);
-					stats.removed++;
-					logger.info('User removed from group', { email: user.email, group: group.name });
+		for (const user of users) {
+			if (suspensions.has(user.id)) {
+				this._onApplied(suspensions.get(user.id), () => delete outOfScope[user.id]);
+				continue;
+			}
+
+			if (inScope.has(user.id) || admins.has(user.id)) {
+				if (outOfScope[user.id]) {
+					logger.info('User back in scope', { email: user.email, since: outOfScope[user.id].since });
+					delete outOfScope[user.id];
+					stats.backInScope++;
 				}
+				continue;
+			}
+
+			if (!outOfScope[user.id]) {
+				outOfScope[user.id] = { email: user.email, since: now.toISOString() };
+				logger.info('User out of scope, grace period started', { email: user.email, userId: user.id });
+			}
+			stats.outOfScope++;
+
+			const since = outOfScope[user.id].since;
+			const suspendAt = new Date(new Date(since).getTime() + this.OUT_OF_SCOPE_GRACE_DAYS * DAY_MS);
+			if (suspendAt <= now) {
+				logger.warn('User out of scope past grace period, suspending', { email: user.email, userId: user.id, since });
+				await this.suspendUser(user.id, user.email, `out of scope since ${since}`);
+				// Kept until the suspension is applied, so that an aborted run does not restart the grace period
+				this._onApplied(
+					this.plan.findLast((a) => a.action === 'suspendUser' && a.userId === user.id),
+					() => delete outOfScope[user.id]
+				);
+				stats.suspended++;
+			} else {
+				pending.push({ email: user.email, since, suspendAt: suspendAt.toISOString() });
 			}
 		}
 
-		logger.info('User synchronization completed', stats);
+		// Forget users suspended or removed outside of the sync
+		const active = new Set(users.map((u) => u.id));
+		for (const id of Object.keys(outOfScope)) {
+			if (!active.has(id)) delete outOfScope[id];
+		}
+
+		this.stats[this.phase] = { ...stats, pendingSuspension: pending.length };
+		logger.info('User scope policy completed', { ...stats, pendingSuspension: pending.length, pending });
 	}
 
 	/**
 	 * Sync users with sidoc.readwrite authorization
+	 * Updates the EPFL access group and collects authorization-based memberships
 	 */
 	async syncAuthorizedUsers() {
 		const allowedUnits = await this.getAllowedUnits();
@@ -541,10 +1672,11 @@ class OutlineSync {
 
 		logger.info('Starting authorized users synchronization', { authorizations: auths.length });
 
-		const validAuths = auths.filter((a) => {
-			const unit = a.reason?.resource?.name;
-			return unit && this.isUnitAllowed(unit, allowedUnits);
-		});
+		const validAuths = [];
+		for (const auth of auths) {
+			const unit = auth.reason?.resource;
+			if (unit?.name && (await this.isUnitAllowed(unit, allowedUnits))) validAuths.push(auth);
+		}
 
 		logger.info('Filtered authorizations', { total: auths.length, valid: validAuths.length });
 
@@ -552,15 +1684,19 @@ class OutlineSync {
 		const allScipers = new Set();
 
 		for (const auth of validAuths) {
-			const unit = auth.reason.resource.name;
+			const { name } = auth.reason.resource;
 			const sciper = Number(auth.persid);
-			if (!byUnit.has(unit)) byUnit.set(unit, new Set());
-			byUnit.get(unit).add(sciper);
+			if (!byUnit.has(name)) {
+				const id = auth.reason.resource.id ?? (await this.epflGetUnit(name))?.id;
+				byUnit.set(name, { unit: { id: id && Number(id), name }, scipers: new Set() });
+			}
+			byUnit.get(name).scipers.add(sciper);
 			allScipers.add(sciper);
 		}
 
 		if (this.ACCESS_GROUP) {
 			const existing = (await this.epflGetGroupMembers(this.ACCESS_GROUP)).map((m) => Number(m.id));
+			this.population.accessGroup = existing.length;
 			const authorized = [...allScipers];
 			const toAdd = authorized.filter((s) => !existing.includes(s));
 			const toRemove = existing.filter((s) => !authorized.includes(s));
@@ -577,161 +1713,949 @@ class OutlineSync {
 			for (const sciper of toRemove) await this.epflRemoveFromGroup(sciper, this.ACCESS_GROUP);
 		}
 
-		const stats = { groupsCreated: 0, added: 0 };
+		const stats = { memberships: 0 };
+		const emails = new Map();
 
-		for (const [unit, scipers] of byUnit) {
-			const outlineUsers = [];
+		for (const { unit, scipers } of byUnit.values()) {
 			for (const sciper of scipers) {
-				const person = await this.epflGetPerson(sciper);
-				if (!person?.email) {
+				if (!emails.has(sciper)) {
+					const person = await this.epflGetPerson(sciper);
+					emails.set(sciper, person?.email || null);
+				}
+
+				const email = emails.get(sciper);
+				if (!email) {
 					logger.warn('Could not retrieve email for authorized user', { sciper });
 					continue;
 				}
 
-				const user = await this.findUser(person.email);
-				if (user) {
-					outlineUsers.push({ user, email: person.email });
-				} else {
-					logger.debug('Authorized user not found in Outline', { email: person.email, sciper });
+				const user = await this.findUser(email, sciper);
+				if (!user) {
+					logger.debug('Authorized user not found in Outline', { email, sciper });
+					continue;
 				}
+
+				this._desireMembership(unit, user, 'authorization');
+				this._desireCollectionAccess(unit, user, 'read_write');
+				stats.memberships++;
+			}
+		}
+
+		this.stats[this.phase] = { units: byUnit.size, users: allScipers.size, ...stats };
+		logger.info('Authorized users synchronization completed', { units: byUnit.size, users: allScipers.size, ...stats });
+	}
+
+	/**
+	 * Collect unit managers from the EPFL_UNIT_ADMIN_RIGHT authorizations
+	 * Holders get admin permission on the collection of their unit only
+	 */
+	async syncUnitAdmins() {
+		const allowedUnits = await this.getAllowedUnits();
+		const auths = await this.epflGetAuthorizations(this.UNIT_ADMIN_RIGHT);
+
+		logger.info('Starting unit admins synchronization', { right: this.UNIT_ADMIN_RIGHT, authorizations: auths.length });
+
+		const stats = { admins: 0, skipped: 0 };
+		const persons = new Map();
+
+		for (const auth of auths) {
+			const resource = auth.reason?.resource;
+			if (!resource?.name || !(await this.isUnitAllowed(resource, allowedUnits))) {
+				stats.skipped++;
+				continue;
+			}
+
+			const sciper = Number(auth.persid);
+			if (!persons.has(sciper)) persons.set(sciper, await this.epflGetPerson(sciper));
+			const email = persons.get(sciper)?.email;
+			if (!email) {
+				logger.warn('Could not retrieve email for unit admin', { sciper });
+				continue;
 			}
 
-			if (!outlineUsers.length) {
-				logger.debug('No Outline users for unit, skipping', { unit });
+			const user = await this.findUser(email, sciper);
+			if (!user) {
+				logger.debug('Unit admin not found in Outline', { email, sciper });
 				continue;
 			}
 
-			let group = await this.findGroup(unit);
+			const id = resource.id ?? (await this.epflGetUnit(resource.name))?.id;
+			this._desireCollectionAccess({ id, name: resource.name }, user, 'admin');
+			stats.admins++;
+		}
+
+		this.stats[this.phase] = stats;
+		logger.info('Unit admins synchronization completed', stats);
+	}
+
+	/**
+	 * Reconcile Outline groups with the desired memberships
+	 * collected from accreditations and authorizations, applying only the net difference
+	 */
+	async syncGroups() {
+		const users = await this.getUsers();
+		const adminGroup = this.ADMIN_GROUP.toLowerCase();
+
+		logger.info('Starting group reconciliation', { groups: this.desired.size });
+
+		const stats = { groupsCreated: 0, renamed: 0, added: 0, removed: 0, deleted: 0 };
+		const reconciled = new Set();
+
+		for (const { unitId, name, members: desired, access } of this.desired.values()) {
+			let group = this._findByUnitId('groups', await this.getGroups(), unitId);
+			if (group && group.name !== name) {
+				logger.info('Unit renamed in EPFL, renaming group', { unitId, from: group.name, name });
+				await this.renameGroup(group.id, name, group.name);
+				group = { ...group, name };
+				stats.renamed++;
+			} else if (!group) {
+				group = await this.findGroup(name);
+				if (group && unitId && this._isManaged('groups', group.id) && !this._managedUnitId('groups', group.id)) {
+					this.loadState().managed.groups[group.id].unitId = unitId;
+				}
+			}
+			// The unit collection hangs off the group, units with only collection admins need one too
+			if (!group && !desired.size && !access.size) continue;
 			if (!group) {
-				group = await this.createGroup(unit);
+				group = await this.createGroup(name, unitId);
 				stats.groupsCreated++;
 			}
+			reconciled.add(group.id);
 
-			for (const { user, email } of outlineUsers) {
-				const added = await this.addUserToGroup(user.id, group.id);
+			const managed = this._isManaged('groups', group.id);
+			const current = await this.getGroupMembers(group.id);
+			const currentIds = new Set(current.map((m) => m.id));
+			if (managed) this.population.memberships += current.length;
+
+			for (const [userId, { user, reasons }] of desired) {
+				if (currentIds.has(userId)) continue;
+				const added = await this.addUserToGroup(userId, group.id, `unit ${[...reasons].join(' and ')}`);
 				if (added) {
+					logger.info('User added to group', { email: user.email, group: group.name, reasons: [...reasons] });
 					stats.added++;
-					logger.info('Authorized user added to group', { email, group: unit });
 				}
 			}
+
+			if (!managed) {
+				logger.debug('Group not managed by sync, members not pruned', { group: group.name });
+				continue;
+			}
+
+			for (const member of current) {
+				const user = users.find((u) => u.id === member.id);
+				if (!user || desired.has(member.id)) continue;
+
+				await this.removeUserFromGroup(member.id, group.id, 'unit accreditation and authorization removed');
+				stats.removed++;
+				logger.info('User removed from group', { email: user.email, group: group.name });
+			}
 		}
 
-		logger.info('Authorized users synchronization completed', { units: byUnit.size, users: allScipers.size, ...stats });
+		const allGroups = await this.getGroups(true);
+		this.population.groups = allGroups.filter((g) => this._isManaged('groups', g.id)).length;
+		for (const group of allGroups) {
+			const nameLower = group.name.toLowerCase();
+			if (nameLower === adminGroup || reconciled.has(group.id)) continue;
+			if (!this._isManaged('groups', group.id)) continue;
+
+			const members = await this.getGroupMembers(group.id);
+			if (members.length === 0) {
+				await this.deleteGroup(group.id, group.name);
+				stats.deleted++;
+				logger.info('Obsolete empty group deleted', { group: group.name });
+			} else {
+				logger.debug('Group not deleted - has members', { group: group.name, members: members.length });
+			}
+		}
+
+		this.stats[this.phase] = stats;
+		logger.info('Group reconciliation completed', stats);
 	}
 
 	/**
-	 * Sync admin users
+	 * Sync the ADMINS group with the EPFL admin group, roles are handled by syncRoles
 	 */
 	async syncAdmins() {
-		const epflAdmins = await this.epflGetGroupMembers(process.env.OUTLINE_ADMIN_GROUP);
-		const adminEmails = new Set(epflAdmins.map((a) => a.email.toLowerCase()));
+		const epflAdmins = await this.getEpflAdmins();
 
 		let adminGroup = await this.findGroup(this.ADMIN_GROUP);
 		if (!adminGroup) adminGroup = await this.createGroup(this.ADMIN_GROUP);
 
 		const allUsers = await this.getUsers();
-		const currentAdmins = (await this._outlinePost('/api/users.list', { role: 'admin' })).filter((u) => u.email !== this.ADMIN_EMAIL);
 
-		logger.info('Starting admin synchronization', { epflAdmins: epflAdmins.length, currentAdmins: currentAdmins.length });
+		logger.info('Starting admin synchronization', { epflAdmins: epflAdmins.length });
 
-		const stats = { promoted: 0, demoted: 0, addedToGroup: 0, removedFromGroup: 0 };
+		const stats = { addedToGroup: 0, removedFromGroup: 0 };
+		// Matched by SCIPER or email, the Outline email of an admin may differ from EPFL
+		const adminIds = new Set();
 
 		for (const admin of epflAdmins) {
-			const user = await this.findUser(admin.email);
+			const user = await this.findUser(admin.email, admin.id);
 			if (!user) {
 				logger.warn('Admin not found in Outline', { email: admin.email });
 				continue;
 			}
+			adminIds.add(user.id);
 
-			const added = await this.addUserToGroup(user.id, adminGroup.id);
+			const added = await this.addUserToGroup(user.id, adminGroup.id, 'member of EPFL admin group');
 			if (added) {
 				logger.info('Admin added to group', { email: admin.email });
 				stats.addedToGroup++;
 			}
-
-			const promoted = await this.setUserAdmin(user.id, admin.email, true);
-			if (promoted) stats.promoted++;
-		}
-
-		for (const admin of currentAdmins) {
-			if (!adminEmails.has(admin.email.toLowerCase())) {
-				await this.setUserAdmin(admin.id, admin.email, false);
-				await this.removeUserFromGroup(admin.id, adminGroup.id);
-				logger.info('Admin demoted', { email: admin.email });
-				stats.demoted++;
-				stats.removedFromGroup++;
-			}
 		}
 
 		const members = await this.getGroupMembers(adminGroup.id);
 		for (const member of members) {
 			const user = allUsers.find((u) => u.id === member.id);
-			if (user && !adminEmails.has(user.email.toLowerCase())) {
-				await this.removeUserFromGroup(member.id, adminGroup.id);
+			if (user && !adminIds.has(user.id)) {
+				await this.removeUserFromGroup(member.id, adminGroup.id, 'removed from EPFL admin group');
 				logger.info('User removed from admin group', { email: user.email });
 				stats.removedFromGroup++;
 			}
 		}
 
+		this.stats[this.phase] = stats;
 		logger.info('Admin synchronization completed', stats);
 	}
 
+	/**
+	 * Converge user roles to the role mapping
+	 * Each user gets the highest role of the rules they match, or the default role
+	 */
+	async syncRoles() {
+		const mapping = await this.getRoleMapping();
+		const users = await this.getUsers();
+		const roles = new Map();
+
+		for (const rule of mapping.rules) {
+			let persons;
+			if (rule.group) {
+				persons = await this.epflGetGroupMembers(rule.group);
+			} else {
+				const scipers = [...new Set((await this.epflGetAuthorizations(rule.right)).map((a) => a.persid))];
+				persons = await this._mapConcurrent(scipers, this.epflConcurrency, (sciper) => this.epflGetPerson(sciper));
+			}
+			// Keyed by Outline user, matched by SCIPER or email
+			for (const person of persons.filter((p) => p?.email)) {
+				const user = await this.findUser(person.email, person.id);
+				if (user && ROLES.indexOf(rule.role) > ROLES.indexOf(roles.get(user.id))) roles.set(user.id, rule.role);
+			}
+		}
+
+		logger.info('Starting role synchronization', { users: users.length, mapped: roles.size, default: mapping.default });
+
+		const stats = { promoted: 0, demoted: 0 };
+		const suspended = new Set(this.plan.filter((a) => a.action === 'suspendUser').map((a) => a.userId));
+
+		for (const user of users) {
+			if (this._isServiceUser(user) || suspended.has(user.id)) continue;
+			// Without default role, unmapped users keep their role, but admins lose theirs
+			const fallback = user.role === 'admin' ? 'member' : user.role;
+			const target = roles.get(user.id) || mapping.default || fallback;
+			if (target === user.role) continue;
+
+			await this.setUserRole(user.id, user.email, target, user.role);
+			if (ROLES.indexOf(target) > ROLES.indexOf(user.role)) stats.promoted++;
+			else stats.demoted++;
+		}
+
+		this.stats[this.phase] = stats;
+		logger.info('Role synchronization completed', stats);
+	}
+
 	/**
 	 * Sync collections based on groups
 	 */
 	async syncCollections() {
 		const groups = await this.getGroups(true);
 		const collections = await this.getCollections(true);
+		const archived = await this.getArchivedCollections(true);
+		const tracked = this.loadState().archivedCollections;
 
-		logger.info('Starting collection synchronization', { groups: groups.length, collections: collections.length });
+		// Forget collections restored or deleted outside of the sync
+		for (const id of Object.keys(tracked)) {
+			if (!archived.some((c) => c.id === id)) delete tracked[id];
+		}
 
+		logger.info('Starting collection synchronization', {
+			groups: groups.length,
+			collections: collections.length,
+			archived: archived.length,
+			mode: this.COLLECTION_REMOVAL,
+		});
+		this.population.collections = collections.filter((c) => this._isManaged('collections', c.id)).length + Object.keys(tracked).length;
+
+		const policy = await this.getCollectionPolicy();
 		const groupNames = new Set(groups.filter((g) => g.name.toLowerCase() !== this.ADMIN_GROUP.toLowerCase()).map((g) => g.name.toLowerCase()));
-		const stats = { created: 0, linked: 0, deleted: 0 };
+		const stats = { created: 0, restored: 0, renamed: 0, updated: 0, linked: 0, granted: 0, revoked: 0, archived: 0, deleted: 0 };
+		await this.getUsers();
+		const serviceUsers = new Set(this.cache.serviceUsers.map((u) => u.id));
+
+		const liveUnits = new Set();
+		const linkedCollections = new Set();
 
 		for (const group of groups) {
 			if (group.name.toLowerCase() === this.ADMIN_GROUP.toLowerCase()) continue;
-
-			let collection = await this.findCollection(group.name);
-			if (!collection) {
-				collection = await this.createCollection(group.name);
+			if (!this._isManaged('groups', group.id)) continue;
+
+			const unitId = this._managedUnitId('groups', group.id);
+			if (unitId) liveUnits.add(unitId);
+			const { attributes, groupPermission } = this._resolvePolicy(policy, group.name);
+
+			let collection = this._findByUnitId('collections', collections, unitId) || (await this.findCollection(group.name));
+			const previous =
+				!collection &&
+				(this._findByUnitId('collections', archived, unitId) || archived.find((c) => tracked[c.id] && c.name.toLowerCase() === group.name.toLowerCase()));
+			if (previous) {
+				collection = await this.restoreCollection(previous.id, previous.name);
+				logger.info('Archived collection restored, group is back', { collection: previous.name, archivedAt: tracked[previous.id]?.archivedAt });
+				stats.restored++;
+			} else if (!collection) {
+				collection = await this.createCollection(group.name, unitId, attributes);
 				stats.created++;
 			}
 
-			const linked = await this.addGroupToCollection(group.id, collection.id);
+			if (this._isManaged('collections', collection.id) && unitId && !this._managedUnitId('collections', collection.id)) {
+				this.loadState().managed.collections[collection.id].unitId = unitId;
+			}
+			if (collection.name !== group.name && this._managedUnitId('collections', collection.id) === unitId) {
+				logger.info('Unit renamed in EPFL, renaming collection', { unitId, from: collection.name, name: group.name });
+				await this.renameCollection(collection.id, group.name, collection.name);
+				stats.renamed++;
+			}
+			linkedCollections.add(collection.id);
+
+			const changes = this._isManaged('collections', collection.id) && this._collectionDrift(collection, attributes);
+			if (changes) {
+				logger.info('Collection differs from policy, updating', { collection: group.name, changes: Object.keys(changes) });
+				const before = Object.fromEntries(Object.keys(changes).map((key) => [key, collection[key] ?? null]));
+				await this.updateCollection(collection.id, group.name, changes, before);
+				stats.updated++;
+			}
+
+			const linked = await this.addGroupToCollection(group.id, collection.id, groupPermission);
 			if (linked) stats.linked++;
+
+			const access = this._desiredForGroup(group)?.access || new Map();
+			const current = await this.getCollectionUsers(collection.id);
+			// Only permissions granted by the sync are revoked, sharing done by hand is left alone
+			const grants = this.loadState().collectionGrants[collection.id] || {};
+			for (const userId of Object.keys(grants)) {
+				if (!current.has(userId)) delete grants[userId];
+			}
+			this.population.collectionAccess += Object.keys(grants).length;
+			for (const [userId, { user, permission }] of access) {
+				const from = current.get(userId);
+				if (from === permission) continue;
+				// A higher permission given by hand is kept
+				if (!grants[userId] && GROUP_PERMISSIONS.indexOf(from) > GROUP_PERMISSIONS.indexOf(permission)) continue;
+				logger.info('Granting collection access', { collection: group.name, email: user.email, permission, from });
+				await this.addUserToCollection(userId, collection.id, permission, from);
+				stats.granted++;
+			}
+			for (const [userId, grant] of Object.entries(grants)) {
+				// The API key user becomes a member of the collections it creates
+				if (access.has(userId) || serviceUsers.has(userId)) continue;
+				if (grant.from) {
+					logger.info('Revoking collection access, back to the permission given by hand', { collection: group.name, userId, permission: grant.from });
+					await this.addUserToCollection(userId, collection.id, grant.from, current.get(userId));
+				} else {
+					logger.info('Revoking collection access', { collection: group.name, userId, permission: current.get(userId) });
+					await this.removeUserFromCollection(userId, collection.id, current.get(userId));
+				}
+				stats.revoked++;
+			}
 		}
 
 		for (const collection of collections) {
 			const name = collection.name.toLowerCase();
 			if (name === this.ADMIN_GROUP.toLowerCase()) continue;
 			if (this.ALLOWED_COLLECTIONS.includes(name)) continue;
-			if (groupNames.has(name)) continue;
+			if (groupNames.has(name) || linkedCollections.has(collection.id)) continue;
+			if (!this._isManaged('collections', collection.id)) continue;
+
+			if (this.COLLECTION_REMOVAL === 'delete') {
+				if (await this.deleteCollection(collection.id, collection.name)) {
+					logger.info('Obsolete collection deleted', { collection: collection.name });
+					stats.deleted++;
+				}
+			} else {
+				await this.archiveCollection(collection.id, collection.name);
+				logger.info('Obsolete collection archived', { collection: collection.name, retentionDays: this.COLLECTION_RETENTION_DAYS });
+				stats.archived++;
+			}
+		}
+
+		const now = Date.now();
+		for (const collection of archived) {
+			const entry = tracked[collection.id];
+			if (!entry || groupNames.has(collection.name.toLowerCase()) || liveUnits.has(this._managedUnitId('collections', collection.id))) continue;
+			if (now - new Date(entry.archivedAt).getTime() < this.COLLECTION_RETENTION_DAYS * DAY_MS) continue;
 
-			await this.deleteCollection(collection.id, collection.name);
-			logger.info('Obsolete collection deleted', { collection: collection.name });
-			stats.deleted++;
+			if (await this.deleteCollection(collection.id, collection.name)) {
+				logger.info('Archived collection past retention deleted', { collection: collection.name, archivedAt: entry.archivedAt });
+				stats.deleted++;
+			}
 		}
 
+		this.stats[this.phase] = stats;
 		logger.info('Collection synchronization completed', stats);
 	}
 
+	/**
+	 * Describe a planned action in a single human-readable line
+	 * @param {object} action - Plan entry
+	 * @returns {string}
+	 */
+	_describeAction(action) {
+		const users = [...(this.cache.users || []), ...(this.cache.suspendedUsers || [])];
+		const groups = this._overlayPlan(this.cache.groups || [], 'createGroup', 'deleteGroup');
+		const collections = this._overlayPlan(this.cache.collections || [], COLLECTION_ADDED, COLLECTION_REMOVED);
+		const user = (id) => users.find((u) => u.id === id)?.email || id;
+		const group = (id) => groups.find((g) => g.id === id)?.name || id;
+		const collection = (id) => collections.find((c) => c.id === id)?.name || id;
+
+		switch (action.action) {
+			case 'createGroup':
+				return `+ group ${action.name}`;
+			case 'deleteGroup':
+				return `- group ${action.name}`;
+			case 'renameGroup':
+				return `~ group ${action.from} -> ${action.name}`;
+			case 'renameCollection':
+				return `~ collection ${action.from} -> ${action.name}`;
+			case 'updateCollection':
+				return `~ collection ${action.name} (${Object.keys(action.changes).join(', ')})`;
+			case 'addUserToGroup':
+				return `+ ${user(action.userId)} -> group ${group(action.groupId)}`;
+			case 'removeUserFromGroup':
+				return `- ${user(action.userId)} -> group ${group(action.groupId)}`;
+			case 'createCollection':
+				return `+ collection ${action.name}`;
+			case 'deleteCollection':
+				return `- collection ${action.name}`;
+			case 'archiveCollection':
+				return `- collection ${action.name} (archive)`;
+			case 'restoreCollection':
+				return `+ collection ${action.name} (restore)`;
+			case 'addUserToCollection':
+				return `+ ${user(action.userId)} -> collection ${collection(action.collectionId)} (${action.permission})`;
+			case 'removeUserFromCollection':
+				return `- ${user(action.userId)} -> collection ${collection(action.collectionId)}`;
+			case 'removeGroupFromCollection':
+				return `- group ${group(action.groupId)} -> collection ${collection(action.collectionId)}`;
+			case 'addGroupToCollection':
+				return `+ group ${group(action.groupId)} -> collection ${collection(action.collectionId)} (${action.permission})`;
+			case 'setUserRole':
+				return `~ ${action.email} role ${action.from} -> ${action.role}`;
+			case 'suspendUser':
+				return `- ${action.email} (suspend)`;
+			case 'activateUser':
+				return `+ ${action.email} (reactivate)`;
+			case 'epflAddToGroup':
+				return `+ ${action.scipers.join(', ')} -> EPFL group ${action.group}`;
+			case 'epflRemoveFromGroup':
+				return `- ${action.sciper} -> EPFL group ${action.group}`;
+			default:
+				return `? ${JSON.stringify(action)}`;
+		}
+	}
+
+	/**
+	 * Output the recorded plan as JSON, and as human-readable text in plan mode
+	 * @param {Array} breaches - Exceeded safety limits
+	 */
+	reportPlan(breaches = []) {
+		const summary = {};
+		for (const a of this.plan) summary[a.action] = (summary[a.action] || 0) + 1;
+
+		const lines = [`Sync plan: ${this.plan.length} change(s)`];
+		let phase;
+		for (const action of this.plan) {
+			if (action.phase !== phase) {
+				phase = action.phase;
+				lines.push('', `${phase}:`);
+			}
+			lines.push(`  ${this._describeAction(action)}`);
+		}
+		if (this.unmatched.length) {
+			lines.push('', 'Users matching no EPFL person:');
+			for (const email of this.unmatched) lines.push(`  ? ${email}`);
+		}
+		if (breaches.length) {
+			lines.push('', 'Safety limits exceeded:');
+			for (const b of breaches) lines.push(`  ! ${b.name}: ${b.count} planned, limit ${b.threshold} (${b.max} of ${b.population})`);
+		}
+		// The text diff is for humans running a plan, the log stream stays JSON
+		if (this.dryRun) console.log(lines.join('\n'));
+
+		const diff = { generatedAt: new Date().toISOString(), summary, breaches, unmatched: this.unmatched, actions: this.plan.map((a) => ({ ...a, description: this._describeAction(a) })) };
+		logger.info('Sync plan', diff);
+		if (this.planFile) {
+			fs.writeFileSync(this.planFile, JSON.stringify(diff, null, 2));
+			logger.info('Sync plan written', { file: this.planFile });
+		}
+	}
+
+	/**
+	 * Check the plan against the safety limits on destructive operations
+	 * @returns {Array} - Exceeded limits
+	 */
+	checkSafety() {
+		const breaches = [];
+		for (const limit of this.safetyLimits) {
+			if (!limit.max) continue;
+			const count = this.plan.filter(limit.matches).length;
+			const population = this.population[limit.population];
+			// Percentages round up, so that a small population still allows one change
+			const max = limit.max.percent ? Math.ceil((population * limit.max.value) / 100) : limit.max.value;
+			if (count > max) breaches.push({ name: limit.name, count, max, population, threshold: limit.raw });
+		}
+		return breaches;
+	}
+
+	/**
+	 * Apply the recorded plan, resolving the IDs of objects created along the way
+	 */
+	async applyPlan() {
+		logger.info('Applying sync plan', { changes: this.plan.length });
+		this.keepState = true;
+		const ids = new Map();
+		for (const action of this.plan) {
+			this.phase = action.phase;
+			const args = PLAN_ARGS[action.action].map((key) => ids.get(action[key]) ?? action[key]);
+			let result;
+			try {
+				result = await this[action.action](...args);
+			} catch (err) {
+				this._journal(action, args, undefined, err);
+				throw err;
+			}
+			this._journal(action, args, result);
+			if (result === false) {
+				// Not applied, such as a collection whose export failed
+				action.skipped = true;
+				if (action.action === 'deleteCollection' && this.stats[action.phase]) this.stats[action.phase].deleted--;
+			}
+			for (const change of this.onApplied.get(action) || []) change();
+			if (this._isPlanned(action.id)) ids.set(action.id, result.id);
+		}
+		this.phase = null;
+		logger.info('Sync plan applied', { changes: this.plan.length });
+	}
+
+	/**
+	 * List the changes of the current run as Markdown sections
+	 * @returns {Array} - Lines, empty without changes
+	 */
+	_reportChanges() {
+		const list = (title, actions, describe, skipped = false) => {
+			const items = this.plan.filter((a) => actions.includes(a.action) && !!a.skipped === skipped);
+			return items.length ? [`### ${title}`, '', ...items.map((a) => `- ${describe(a)}`), ''] : [];
+		};
+		return [
+			...list('Users suspended', ['suspendUser'], (a) => `${a.email}${a.reason ? ` (${a.reason})` : ''}`),
+			...list('Users reactivated', ['activateUser'], (a) => a.email),
+			...list('Groups created', ['createGroup'], (a) => a.name),
+			...list('Groups renamed', ['renameGroup'], (a) => `${a.from} → ${a.name}`),
+			...list('Groups deleted', ['deleteGroup'], (a) => a.name),
+			...list('Collections created', ['createCollection'], (a) => a.name),
+			...list('Collections archived', ['archiveCollection'], (a) => a.name),
+			...list('Collections deleted', ['deleteCollection'], (a) => a.name),
+			...list('Collections not deleted, export failed', ['deleteCollection'], (a) => a.name, true),
+			...list('Collections restored', ['restoreCollection'], (a) => a.name),
+		];
+	}
+
+	/**
+	 * Render the report of the current run as Markdown
+	 * @param {string} status - 'success', 'failed' or 'aborted'
+	 * @param {Array} history - Reports of previous runs, most recent first
+	 * @returns {string}
+	 */
+	_renderReport(status, history) {
+		const lines = [
+			`Last run: **${status}** on ${new Date().toISOString()} (run \`${this.runId}\`), ${this.plan.length} change(s).`,
+			'',
+			'## Statistics',
+			'',
+			'| Phase | Statistics |',
+			'|-------|------------|',
+			...Object.entries(this.stats).map(([phase, stats]) => `| ${phase} | ${Object.entries(stats).map(([k, v]) => `${k}: ${v}`).join(', ')} |`),
+			'',
+			status === 'success' ? '## Changes' : '## Planned changes, not all applied',
+			'',
+			...this._reportChanges(),
+		];
+		if (this.unmatched.length) lines.push('## Unmatched users', '', ...this.unmatched.map((email) => `- ${email}`), '');
+		if (this.runError) lines.push('## Errors', '', '```', this.runError.message, '```', '');
+		lines.push('## History', '', '| Run | Date | Status | Changes |', '|-----|------|--------|---------|');
+		lines.push(...history.map((r) => `| \`${r.runId}\` | ${r.at} | ${r.status} | ${r.changes} |`), '');
+		// Previous reports keep their change lists, one level down
+		for (const report of history.filter((r) => r.details?.length)) {
+			lines.push(`### Run \`${report.runId}\`, ${report.status}`, '', ...report.details.map((line) => (line.startsWith('### ') ? `#${line}` : line)));
+		}
+		return lines.join('\n');
+	}
+
+	/**
+	 * Publish the run report as a document of the SYNC_REPORT_COLLECTION collection
+	 * Failures are logged and never fail the run
+	 * @param {string} status - 'success', 'failed' or 'aborted'
+	 */
+	async publishReport(status) {
+		if (!this.reportCollection) return;
+		try {
+			const state = this.loadState();
+			const report = { runId: this.runId, at: new Date().toISOString(), status, changes: this.plan.length, details: this._reportChanges() };
+			const history = [report, ...state.reports].slice(0, this.reportHistory);
+			const text = this._renderReport(status, history.slice(1));
+
+			let collection = (await this.getCollections(true)).find((c) => c.name.toLowerCase() === this.reportCollection.toLowerCase());
+			if (!collection) {
+				// Private, only the ADMINS group is given access
+				const res = await this.outline.post('/api/collections.create', { name: this.reportCollection, permission: null, private: true });
+				collection = res.data.data;
+				logger.info('Report collection created', { name: this.reportCollection, id: collection.id });
+				const adminGroup = await this.findGroup(this.ADMIN_GROUP);
+				if (adminGroup) await this.outline.post('/api/collections.add_group', { id: collection.id, groupId: adminGroup.id, permission: 'read' });
+			}
+
+			const documents = await this._outlinePost('/api/documents.list', { collectionId: collection.id });
+			const document = documents.find((d) => d.title === this.reportTitle);
+			if (document) {
+				await this.outline.post('/api/documents.update', { id: document.id, text, publish: true });
+			} else {
+				await this.outline.post('/api/documents.create', { collectionId: collection.id, title: this.reportTitle, text, publish: true });
+			}
+			logger.info('Sync report published', { collection: collection.name, title: this.reportTitle, status });
+
+			this._saveReports(status, history);
+		} catch (err) {
+			logger.error('Sync report could not be published', { error: err.message });
+		}
+	}
+
+	/**
+	 * Append an applied action to the journal
+	 * @param {object} action - Plan entry
+	 * @param {Array} args - Resolved arguments
+	 * @param {*} result - Value returned by the action, false when it was skipped
+	 * @param {Error} error - Set if the action failed
+	 */
+	_journal(action, args, result, error) {
+		if (!this.journalFile || result === false) return;
+		const target = Object.fromEntries(PLAN_ARGS[action.action].map((key, i) => [key, args[i]]));
+		const entry = {
+			runId: this.runId,
+			at: new Date().toISOString(),
+			phase: action.phase,
+			action: action.action,
+			target,
+			...this._journalChange(action, target, result),
+			reason: action.reason || DEFAULT_REASONS[action.action] || null,
+		};
+		if (error) entry.error = error.message;
+		fs.mkdirSync(path.dirname(this.journalFile), { recursive: true });
+		fs.appendFileSync(this.journalFile, `${JSON.stringify(entry)}\n`);
+	}
+
+	/**
+	 * Describe the state an action changes, before and after
+	 * @param {object} action - Plan entry
+	 * @param {object} target - Resolved arguments
+	 * @param {*} result - Value returned by the action
+	 * @returns {object} - { before, after }
+	 */
+	_journalChange(action, target, result) {
+		switch (action.action) {
+			case 'createGroup':
+			case 'createCollection':
+				return { before: null, after: { id: result?.id, name: target.name } };
+			case 'deleteGroup':
+			case 'deleteCollection':
+				return { before: { id: target.id, name: target.name }, after: null };
+			case 'renameGroup':
+			case 'renameCollection':
+				return { before: target.from, after: target.name };
+			case 'updateCollection':
+				return { before: action.before, after: target.changes };
+			case 'archiveCollection':
+				return { before: 'active', after: 'archived' };
+			case 'restoreCollection':
+				return { before: 'archived', after: 'active' };
+			case 'addUserToGroup':
+			case 'epflAddToGroup':
+				return { before: false, after: true };
+			case 'removeUserFromGroup':
+			case 'epflRemoveFromGroup':
+				return { before: true, after: false };
+			case 'addGroupToCollection':
+			case 'addUserToCollection':
+				return { before: action.from ?? null, after: target.permission };
+			case 'removeGroupFromCollection':
+			case 'removeUserFromCollection':
+				return { before: action.from ?? null, after: null };
+			case 'setUserRole':
+				return { before: action.from, after: target.role };
+			case 'suspendUser':
+				return { before: 'active', after: 'suspended' };
+			case 'activateUser':
+				return { before: 'suspended', after: 'active' };
+			default:
+				return { before: null, after: null };
+		}
+	}
+
+	/**
+	 * Compute the action undoing a journal entry
+	 * @param {object} entry - Journal entry
+	 * @returns {object|null} - Plan entry, or null if the action cannot be undone
+	 */
+	_inverse(entry) {
+		const { target, before, after } = entry;
+		switch (entry.action) {
+			case 'createGroup':
+				return { action: 'deleteGroup', id: after.id, name: after.name };
+			case 'createCollection':
+				// Documents may have been written since, archive rather than delete
+				return { action: 'archiveCollection', id: after.id, name: after.name };
+			case 'renameGroup':
+			case 'renameCollection':
+				return { action: entry.action, id: target.id, name: before, from: after };
+			case 'updateCollection':
+				return { action: 'updateCollection', id: target.id, name: target.name, changes: before, before: after };
+			case 'archiveCollection':
+				return { action: 'restoreCollection', id: target.id, name: target.name };
+			case 'restoreCollection':
+				return { action: 'archiveCollection', id: target.id, name: target.name };
+			case 'addUserToGroup':
+				return { action: 'removeUserFromGroup', userId: target.userId, groupId: target.groupId };
+			case 'removeUserFromGroup':
+				return { action: 'addUserToGroup', userId: target.userId, groupId: target.groupId };
+			case 'addGroupToCollection':
+				return before
+					? { action: 'addGroupToCollection', groupId: target.groupId, collectionId: target.collectionId, permission: before, from: after }
+					: { action: 'removeGroupFromCollection', groupId: target.groupId, collectionId: target.collectionId, from: after };
+			case 'addUserToCollection':
+				return before
+					? { action: 'addUserToCollection', userId: target.userId, collectionId: target.collectionId, permission: before, from: after }
+					: { action: 'removeUserFromCollection', userId: target.userId, collectionId: target.collectionId, from: after };
+			case 'removeUserFromCollection':
+				return { action: 'addUserToCollection', userId: target.userId, collectionId: target.collectionId, permission: before, from: null };
+			case 'setUserRole':
+				return { action: 'setUserRole', userId: target.userId, email: target.email, role: before, from: after };
+			case 'suspendUser':
+				return { action: 'activateUser', userId: target.userId, email: target.email };
+			case 'activateUser':
+				return { action: 'suspendUser', userId: target.userId, email: target.email };
+			case 'epflAddToGroup':
+				return target.scipers.map((sciper) => ({ action: 'epflRemoveFromGroup', sciper, group: target.group }));
+			case 'epflRemoveFromGroup':
+				return { action: 'epflAddToGroup', scipers: [target.sciper], group: target.group };
+			default:
+				// Deleted groups and collections cannot be brought back with their IDs
+				return null;
+		}
+	}
+
+	/**
+	 * Undo the changes of a past run, from the journal, in reverse order
+	 * Usage: node sync.js rollback <runId> (add --plan to preview)
+	 * @param {string} runId
+	 */
+	async rollback(runId) {
+		if (!this.journalFile || !fs.existsSync(this.journalFile)) throw new Error('No journal found, set SYNC_JOURNAL_FILE');
+		const entries = fs
+			.readFileSync(this.journalFile, 'utf8')
+			.split('\n')
+			.filter(Boolean)
+			.map((line) => JSON.parse(line))
+			.filter((e) => e.runId === runId && !e.error);
+		if (!entries.length) throw new Error(`No journal entries for run ${runId}`);
+
+		this._startPlan();
+		this.planning = false;
+		const skipped = [];
+		for (const entry of entries.reverse()) {
+			const inverse = this._inverse(entry);
+			if (!inverse) {
+				skipped.push({ action: entry.action, target: entry.target });
+				continue;
+			}
+			for (const action of [].concat(inverse)) this.plan.push({ ...action, phase: 'rollback', reason: `rollback of run ${runId}` });
+		}
+
+		logger.info('Rollback planned', { runId, entries: entries.length, changes: this.plan.length, skipped });
+		if (this.dryRun) {
+			await Promise.all([this.getUsers(), this.getGroups(), this.getCollections()]);
+			this.reportPlan();
+			logger.info('Plan completed, no changes applied');
+			return;
+		}
+
+		try {
+			await this.applyPlan();
+		} finally {
+			this.saveState();
+		}
+		logger.info('Rollback completed', { runId, newRunId: this.runId });
+	}
+
+	_startPlan() {
+		this.desired = new Map();
+		this.plan = [];
+		this.unmatched = [];
+		this.stats = {};
+		this.population = { users: 0, memberships: 0, groups: 0, collections: 0, collectionAccess: 0, accessGroup: 0 };
+		this.planning = true;
+		this.keepState = false;
+		this.onApplied = new Map();
+		this.loadState();
+	}
+
+	/**
+	 * Change the state once a planned action is applied, immediately outside of planning
+	 * @param {object|undefined} action - Planned action
+	 * @param {Function} change - State change
+	 */
+	_onApplied(action, change) {
+		if (!this.planning || !action) return change();
+		this.onApplied.set(action, [...(this.onApplied.get(action) || []), change]);
+	}
+
+	/**
+	 * Register existing unit groups, and the collections named after them, as managed by the sync
+	 * One-off command for groups created before ownership tracking: node sync.js adopt
+	 */
+	async adopt() {
+		this._startPlan();
+		this.phase = 'adopt';
+		await this.syncUsers();
+		await this.syncAuthorizedUsers();
+		this.planning = false;
+		this.keepState = true;
+		this.plan = [];
+
+		const allowedUnits = await this.getAllowedUnits();
+		const units = new Map([...this.desired.values()].map((u) => [u.name.toLowerCase(), u.unitId]));
+		const unitNames = new Set([...units.keys(), ...(allowedUnits ? allowedUnits.names : [])]);
+		const groups = await this.getGroups(true);
+		const collections = await this.getCollections(true);
+		const adopted = { groups: [], collections: [] };
+
+		logger.info('Starting adoption of existing unit groups', { groups: groups.length, collections: collections.length, units: unitNames.size });
+
+		for (const group of groups) {
+			const name = group.name.toLowerCase();
+			if (name !== this.ADMIN_GROUP.toLowerCase() && !unitNames.has(name)) continue;
+
+			const isAdminGroup = name === this.ADMIN_GROUP.toLowerCase();
+			const unitId = isAdminGroup ? undefined : (units.get(name) ?? (await this.epflGetUnit(group.name))?.id);
+			if (!this._isManaged('groups', group.id)) {
+				this._manage('groups', group, unitId);
+				adopted.groups.push(group.name);
+			}
+
+			if (isAdminGroup) continue;
+			const collection = collections.find((c) => c.name.toLowerCase() === name);
+			if (collection && !this._isManaged('collections', collection.id)) {
+				this._manage('collections', collection, unitId);
+				adopted.collections.push(collection.name);
+			}
+		}
+
+		if (this.dryRun) {
+			logger.info('Plan completed, adoption not saved', adopted);
+			return;
+		}
+
+		this.saveState();
+		logger.info('Adoption completed', adopted);
+	}
+
 	/**
 	 * Run full synchronization
+	 * All phases are first computed as a plan, applied only if it stays within the safety limits
 	 */
 	async run() {
+		this._startPlan();
+		let status = 'success';
+		try {
+			await this._run();
+		} catch (err) {
+			status = err.message.startsWith('Safety limits exceeded') ? 'aborted' : 'failed';
+			this.runError = err;
+			throw err;
+		} finally {
+			if (!this.dryRun) await this.publishReport(status);
+		}
+	}
+
+	/**
+	 * Plan, check and apply all phases
+	 */
+	async _run() {
+		this.phase = 'syncUsers';
 		logger.info('Starting user synchronization process');
 		await this.syncUsers();
 
+		this.phase = 'syncAuthorizedUsers';
 		logger.info('Starting authorized users synchronization process');
 		await this.syncAuthorizedUsers();
 
+		this.phase = 'syncUnitAdmins';
+		logger.info('Starting unit admins synchronization process');
+		await this.syncUnitAdmins();
+
+		this.phase = 'syncUserScope';
+		logger.info('Starting user scope policy process');
+		await this.syncUserScope();
+
+		this.phase = 'syncGroups';
+		logger.info('Starting group reconciliation process');
+		await this.syncGroups();
+
+		this.phase = 'syncAdmins';
 		logger.info('Starting admin synchronization process');
 		await this.syncAdmins();
 
+		this.phase = 'syncRoles';
+		logger.info('Starting role synchronization process');
+		await this.syncRoles();
+
+		this.phase = 'syncCollections';
 		logger.info('Starting collection synchronization process');
 		await this.syncCollections();
 
-		logger.info('Complete synchronization process finished successfully');
+		this.planning = false;
+		this.phase = null;
+
+		const breaches = this.checkSafety();
+
+		if (this.dryRun) {
+			this.reportPlan(breaches);
+			if (breaches.length) logger.warn('Plan exceeds safety limits, a real run would abort', { breaches });
+			logger.info('Plan completed, no changes applied');
+			return;
+		}
+
+		if (breaches.length) {
+			if (!this.forceDestructive) {
+				logger.error('Safety limits exceeded, aborting before applying any change', { breaches });
+				this.reportPlan(breaches);
+				throw new Error(`Safety limits exceeded: ${breaches.map((b) => b.name).join(', ')}`);
+			}
+			logger.warn('Safety limits exceeded, applying anyway (SYNC_FORCE_DESTRUCTIVE)', { breaches });
+		}
+
+		try {
+			await this.applyPlan();
+		} finally {
+			this.saveState();
+		}
+
+		logger.info('Complete synchronization process finished successfully', { runId: this.runId });
 	}
 }
 
@@ -739,7 +2663,13 @@ async function main() {
 	let exitCode = 0;
 	try {
 		const sync = new OutlineSync();
-		await sync.run();
+		if (process.argv[2] === 'adopt') {
+			await sync.adopt();
+		} else if (process.argv[2] === 'rollback') {
+			await sync.rollback(process.argv[3]);
+		} else {
+			await sync.run();
+		}
 	} catch (error) {
 		exitCode = 1;
 		logger.error('Synchronization failed', { error: error.message, stack: error.stack });